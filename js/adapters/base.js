@@ -30,22 +30,76 @@ class SiteAdapter {
     }
 
     /**
-     * Generate unique ID for a message (using index)
+     * Extract text content from message element
+     * (also used to derive the turn's stable ID, see TurnIdentity)
      * @param {Element} element - Message DOM element
-     * @param {number} index - Message index in the list
      * @returns {string}
      */
-    generateTurnId(element, index) {
-        return `msg-${index}`;
+    extractText(element) {
+        return element.textContent || '';
     }
 
     /**
-     * Extract text content from message element
+     * Get CSS selector for AI answer elements (optional)
+     * Return an empty string if the site does not support answer markers
+     * @returns {string}
+     */
+    getAssistantMessageSelector() {
+        return '';
+    }
+
+    /**
+     * Get the element holding the rendered answer (without toolbars, "show thinking" sections, etc.)
+     * @param {Element} element - Answer DOM element
+     * @returns {Element}
+     */
+    getAssistantContentElement(element) {
+        return element;
+    }
+
+    /**
+     * Extract text content from an AI answer element
+     * @param {Element} element - Answer DOM element
+     * @returns {string}
+     */
+    extractAssistantText(element) {
+        return (this.getAssistantContentElement(element).textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Convert an AI answer element to Markdown (used for conversation export, see DomMarkdown)
+     * @param {Element} element - Answer DOM element
+     * @returns {string}
+     */
+    extractAssistantMarkdown(element) {
+        return DomMarkdown.convert(this.getAssistantContentElement(element));
+    }
+
+    /**
+     * Get the element holding the user's message text (without labels, edit buttons, etc.)
+     * @param {Element} element - Message DOM element
+     * @returns {Element}
+     */
+    getUserContentElement(element) {
+        return element;
+    }
+
+    /**
+     * Convert a user message element to Markdown (line breaks are kept)
      * @param {Element} element - Message DOM element
      * @returns {string}
      */
-    extractText(element) {
-        return element.textContent || '';
+    extractUserMarkdown(element) {
+        return DomMarkdown.convert(this.getUserContentElement(element));
+    }
+
+    /**
+     * Get branch (edited version) info of a message, if the site supports branching
+     * @param {Element} element - Message DOM element
+     * @returns {{current: number, total: number}|null} - e.g. { current: 2, total: 3 } for "< 2/3 >"
+     */
+    getBranchInfo(element) {
+        return null;
     }
 
     /**
@@ -66,6 +120,20 @@ class SiteAdapter {
         return null;
     }
 
+    /**
+     * Extract conversation ID from a full URL (used for bookmark keys, see ConversationKey)
+     * @param {string} url - Full URL
+     * @returns {string|null}
+     */
+    getConversationIdFromUrl(url) {
+        try {
+            const u = new URL(url);
+            return this.extractConversationId(u.pathname, u.search);
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Find conversation container element
      * @param {Element} firstMessage - First message element
@@ -2,7 +2,7 @@
  * ChatGPT Adapter
  * 
  * Supports: chatgpt.com, chat.openai.com, chatgpt.com/share/e/*
- * Features: Uses native data-message-id when available, falls back to index
+ * Features: 识别编辑消息的 "< 2/3 >" 版本切换器，时间轴按分支区分节点；支持 AI 回答节点
  */
 
 class ChatGPTAdapter extends SiteAdapter {
@@ -18,18 +18,43 @@ class ChatGPTAdapter extends SiteAdapter {
         return '[data-message-author-role="user"]';
     }
 
-    generateTurnId(element, index) {
-        // Try to use native message-id if available, fallback to index
-        const nativeId = element.getAttribute('data-message-id');
-        return nativeId || `chatgpt-${index}`;
-    }
-
     extractText(element) {
         // 从 whitespace-pre-wrap 类的元素中提取文本内容
         const textElement = element.querySelector('.whitespace-pre-wrap');
         return (textElement?.textContent || '').replace(/\s+/g, ' ').trim();
     }
 
+    getAssistantMessageSelector() {
+        return '[data-message-author-role="assistant"]';
+    }
+
+    getAssistantContentElement(element) {
+        // 回答正文在 .markdown 元素中
+        return element.querySelector('.markdown') || element;
+    }
+
+    getUserContentElement(element) {
+        return element.querySelector('.whitespace-pre-wrap') || element;
+    }
+
+    getBranchInfo(element) {
+        // 编辑过的消息下方有 "< 2/3 >" 版本切换器，与消息位于同一个 turn 容器中
+        const turn = element.closest('article, [data-testid^="conversation-turn-"]');
+        if (!turn) return null;
+        for (const el of turn.querySelectorAll('div, span')) {
+            // 跳过消息正文，避免把用户输入的 "1/2" 当作切换器
+            if (el.childElementCount > 0 || element.contains(el)) continue;
+            const match = (el.textContent || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+            if (!match) continue;
+            const current = parseInt(match[1], 10);
+            const total = parseInt(match[2], 10);
+            if (total > 1 && current >= 1 && current <= total) {
+                return { current, total };
+            }
+        }
+        return null;
+    }
+
     isConversationRoute(pathname) {
         const segs = pathname.split('/').filter(Boolean);
         
@@ -0,0 +1,85 @@
+/**
+ * Claude Adapter
+ *
+ * Supports: claude.ai/chat/*, project chats, claude.ai/share/*
+ * Features: 使用 data-testid 识别用户消息，项目内的对话同样走 /chat/{id} 路由；支持 AI 回答节点
+ */
+
+class ClaudeAdapter extends SiteAdapter {
+    constructor() {
+        super();
+    }
+
+    matches(url) {
+        return url.includes('claude.ai');
+    }
+
+    getUserMessageSelector() {
+        return '[data-testid="user-message"]';
+    }
+
+    extractText(element) {
+        // 用户消息由多个段落组成，合并为单行文本
+        const paragraphs = element.querySelectorAll('p');
+        if (paragraphs.length > 0) {
+            return Array.from(paragraphs)
+                .map(p => p.textContent || '')
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    getAssistantMessageSelector() {
+        return '.font-claude-response';
+    }
+
+    isConversationRoute(pathname) {
+        // Claude 对话 URL: /chat/{uuid}（含项目内对话）或分享页面 /share/{uuid}
+        return /^\/(chat|share)\/[A-Za-z0-9_-]+/.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            // 从 /chat/{uuid} 或 /share/{uuid} 提取对话 ID
+            const match = pathname.match(/^\/(?:chat|share)\/([A-Za-z0-9_-]+)/);
+            return match ? match[1] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // Claude 位置配置
+        return {
+            top: '120px',       // 避开顶部导航栏
+            right: '22px',     // 右侧边距
+            bottom: '120px',    // 避开底部输入框
+        };
+    }
+
+    getStarChatButtonTarget() {
+        // 不使用原生插入，返回 null
+        return null;
+    }
+
+    getStarChatButtonPosition() {
+        // Claude 使用固定定位，返回自定义位置
+        return {
+            top: '12px',
+            right: '120px'
+        };
+    }
+
+    getDefaultChatTheme() {
+        // Claude 使用页面标题作为默认主题，并过滤尾部的 " - Claude"
+        const title = document.title || '';
+        return title.replace(/\s*-\s*Claude\s*$/i, '').trim();
+    }
+}
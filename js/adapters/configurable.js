@@ -0,0 +1,156 @@
+/**
+ * Configurable Adapter
+ *
+ * Supports: user-defined sites (self-hosted Open WebUI, LibreChat, internal portals, ...)
+ * Features: 由用户在设置页填写的 JSON 配置驱动，无需编写代码
+ *
+ * Config format:
+ * {
+ *   "id": "open-webui",                          // 可选，保存时自动生成
+ *   "name": "Open WebUI",                        // 收藏列表中显示的网站名称
+ *   "urlPattern": "https://chat.example.com/*",   // Chrome match pattern
+ *   "userMessageSelector": ".user-message",       // 用户消息元素选择器
+ *   "textSelector": ".message-content",           // 可选，消息内提取文本的子元素选择器
+ *   "routePattern": "^/c/[^/]+",                  // 可选，对话页 pathname 正则，缺省视为所有页面
+ *   "conversationIdPattern": "^/c/([^/]+)",       // 可选，从 pathname 提取对话 ID 的正则（第一个捕获组）
+ *   "timelinePosition": { "top": "120px", "right": "22px", "bottom": "120px" } // 可选
+ * }
+ */
+
+class ConfigurableAdapter extends SiteAdapter {
+    static STORAGE_KEY = 'chatTimelineCustomSites';
+
+    constructor(config) {
+        super();
+        this.config = config || {};
+        this.urlRegExp = ConfigurableAdapter.compileMatchPattern(this.config.urlPattern);
+        this.routeRegExp = ConfigurableAdapter.compileRegExp(this.config.routePattern);
+        this.conversationIdRegExp = ConfigurableAdapter.compileRegExp(this.config.conversationIdPattern);
+    }
+
+    matches(url) {
+        if (!this.urlRegExp) return false;
+        // match pattern 不包含 hash 部分
+        return this.urlRegExp.test(String(url).split('#')[0]);
+    }
+
+    getUserMessageSelector() {
+        return this.config.userMessageSelector || '';
+    }
+
+    extractText(element) {
+        return (this.getUserContentElement(element).textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    getUserContentElement(element) {
+        let textElement = null;
+        if (this.config.textSelector) {
+            try { textElement = element.querySelector(this.config.textSelector); } catch {}
+        }
+        return textElement || element;
+    }
+
+    isConversationRoute(pathname) {
+        // 未配置路由正则时，所有页面都视为对话页
+        if (!this.routeRegExp) return true;
+        return this.routeRegExp.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            if (!this.conversationIdRegExp) return null;
+            const match = pathname.match(this.conversationIdRegExp);
+            if (!match) return null;
+            return match[1] || match[0];
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // 使用默认位置，允许配置覆盖部分字段
+        return Object.assign(super.getTimelinePosition(), this.config.timelinePosition || {});
+    }
+
+    getDefaultChatTheme() {
+        return document.title || '';
+    }
+
+    /**
+     * Compile a Chrome match pattern (e.g. "https://*.example.com/*") into a RegExp
+     * @param {string} pattern - Match pattern
+     * @returns {RegExp|null} - null if the pattern is invalid
+     */
+    static compileMatchPattern(pattern) {
+        if (typeof pattern !== 'string') return null;
+        const match = pattern.match(/^(\*|https?):\/\/(\*|(?:\*\.)?[^\/*:]+)(:(?:\d+|\*))?(\/.*)$/);
+        if (!match) return null;
+        const [, scheme, host, port, path] = match;
+        const escape = (s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+        const schemeRe = scheme === '*' ? 'https?' : scheme;
+        let hostRe;
+        if (host === '*') {
+            hostRe = '[^/:]+';
+        } else if (host.startsWith('*.')) {
+            hostRe = `(?:[^/:]+\\.)?${escape(host.slice(2))}`;
+        } else {
+            hostRe = escape(host);
+        }
+        // 未指定端口时匹配任意端口（与 Chrome 行为一致）
+        const portRe = (!port || port === ':*') ? '(?::\\d+)?' : escape(port);
+        const pathRe = path.split('*').map(escape).join('.*');
+        return new RegExp(`^${schemeRe}://${hostRe}${portRe}${pathRe}$`);
+    }
+
+    /**
+     * Compile an optional regular expression string
+     * @param {string} source - RegExp source
+     * @returns {RegExp|null}
+     */
+    static compileRegExp(source) {
+        if (typeof source !== 'string' || !source) return null;
+        try {
+            return new RegExp(source);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a string is a valid CSS selector
+     * @param {string} selector - CSS selector
+     * @returns {boolean}
+     */
+    static isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Validate a config record
+     * @param {Object} config - Config record
+     * @returns {string|null} - Name of the first invalid field, or null if valid
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) return 'name';
+        if (typeof config.name !== 'string' || !config.name.trim()) return 'name';
+        if (!ConfigurableAdapter.compileMatchPattern(config.urlPattern)) return 'urlPattern';
+        if (typeof config.userMessageSelector !== 'string' || !config.userMessageSelector.trim()) return 'userMessageSelector';
+        if (!ConfigurableAdapter.isValidSelector(config.userMessageSelector)) return 'userMessageSelector';
+        if (config.textSelector && !ConfigurableAdapter.isValidSelector(config.textSelector)) return 'textSelector';
+        if (config.routePattern && !ConfigurableAdapter.compileRegExp(config.routePattern)) return 'routePattern';
+        if (config.conversationIdPattern && !ConfigurableAdapter.compileRegExp(config.conversationIdPattern)) return 'conversationIdPattern';
+        if (config.timelinePosition !== undefined && (typeof config.timelinePosition !== 'object' || config.timelinePosition === null)) return 'timelinePosition';
+        return null;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Microsoft Copilot Adapter
+ *
+ * Supports: copilot.microsoft.com/chats/*
+ * Features: 使用 data-content 属性识别用户消息
+ */
+
+class CopilotAdapter extends SiteAdapter {
+    constructor() {
+        super();
+    }
+
+    matches(url) {
+        return url.includes('copilot.microsoft.com');
+    }
+
+    getUserMessageSelector() {
+        return '[data-content="user-message"]';
+    }
+
+    extractText(element) {
+        return (this.getUserContentElement(element).textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    getUserContentElement(element) {
+        // 文本在 whitespace-pre-wrap 子元素中，找不到时退回整个元素
+        return element.querySelector('.whitespace-pre-wrap') || element;
+    }
+
+    isConversationRoute(pathname) {
+        // Copilot 对话 URL: /chats/{id}
+        return /^\/chats\/[A-Za-z0-9_-]+/.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            // 从 /chats/{id} 提取对话 ID
+            const match = pathname.match(/^\/chats\/([A-Za-z0-9_-]+)/);
+            return match ? match[1] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // Copilot 位置配置
+        return {
+            top: '120px',       // 避开顶部导航栏
+            right: '22px',     // 右侧边距
+            bottom: '120px',    // 避开底部输入框
+        };
+    }
+
+    getStarChatButtonTarget() {
+        // 不使用原生插入，返回 null
+        return null;
+    }
+
+    getStarChatButtonPosition() {
+        // Copilot 使用固定定位，返回自定义位置
+        return {
+            top: '12px',
+            right: '120px'
+        };
+    }
+
+    getDefaultChatTheme() {
+        // Copilot 使用页面标题作为默认主题，并过滤尾部的 " | Microsoft Copilot"
+        const title = document.title || '';
+        return title.replace(/\s*[|\-]\s*(Microsoft\s+)?Copilot.*$/i, '').trim();
+    }
+}
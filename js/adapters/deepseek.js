@@ -36,10 +36,6 @@ class DeepSeekAdapter extends SiteAdapter {
         return '.ds-message';
     }
 
-    generateTurnId(element, index) {
-        return `deepseek-${index}`;
-    }
-
     extractText(element) {
         // 从第一个子 div 提取文本
         const firstDiv = element.querySelector('div');
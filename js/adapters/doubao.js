@@ -18,16 +18,16 @@ class DoubaoAdapter extends SiteAdapter {
         return '[data-testid="send_message"]';
     }
 
-    generateTurnId(element, index) {
-        return `doubao-${index}`;
-    }
-
     extractText(element) {
         // Extract from message_text_content element
         const textEl = element.querySelector('[data-testid="message_text_content"]');
         return textEl?.textContent?.trim() || '';
     }
 
+    getUserContentElement(element) {
+        return element.querySelector('[data-testid="message_text_content"]') || element;
+    }
+
     isConversationRoute(pathname) {
         // Doubao conversation URLs: /chat/数字ID
         return pathname.includes('/chat/');
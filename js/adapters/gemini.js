@@ -2,7 +2,7 @@
  * Gemini Adapter
  * 
  * Supports: gemini.google.com, gemini.google.com/share/*
- * Features: Angular custom element, index-based ID, filters Angular comment nodes
+ * Features: Angular custom element, filters Angular comment nodes, answer markers via model-response
  */
 
 class GeminiAdapter extends SiteAdapter {
@@ -18,10 +18,6 @@ class GeminiAdapter extends SiteAdapter {
         return 'user-query';
     }
 
-    generateTurnId(element, index) {
-        return `gemini-${index}`;
-    }
-
     extractText(element) {
         // Extract from .query-text-line elements
         const lines = element.querySelectorAll('.query-text-line');
@@ -35,6 +31,20 @@ class GeminiAdapter extends SiteAdapter {
         return texts.join(' ').replace(/\s+/g, ' ').trim();
     }
 
+    getAssistantMessageSelector() {
+        return 'model-response';
+    }
+
+    getAssistantContentElement(element) {
+        // 回答正文在 message-content 中，跳过"显示思路"等折叠区域
+        return element.querySelector('message-content .markdown') || element.querySelector('message-content') || element;
+    }
+
+    getUserContentElement(element) {
+        // 提问文本在 .query-text 中（由多个 .query-text-line 组成）
+        return element.querySelector('.query-text') || element;
+    }
+
     isConversationRoute(pathname) {
         // Gemini conversation URLs: /app/xxx 或分享页面 /share/xxx
         return pathname.includes('/app/') || pathname.includes('/share/');
@@ -0,0 +1,68 @@
+/**
+ * Grok Adapter
+ *
+ * Supports: grok.com/c/*, grok.com/share/*
+ * Features: 用户消息靠右对齐（items-end），通过 message-bubble 识别
+ */
+
+class GrokAdapter extends SiteAdapter {
+    constructor() {
+        super();
+    }
+
+    matches(url) {
+        return url.includes('grok.com');
+    }
+
+    getUserMessageSelector() {
+        // 用户消息所在行使用 items-end 靠右对齐，AI 回复为 items-start
+        return '.items-end .message-bubble';
+    }
+
+    extractText(element) {
+        // 文本直接在气泡中
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isConversationRoute(pathname) {
+        // Grok 对话 URL: /c/{id} 或分享页面 /share/{id}
+        return /^\/(c|share)\/[A-Za-z0-9_-]+/.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            const match = pathname.match(/^\/(?:c|share)\/([A-Za-z0-9_-]+)/);
+            return match ? match[1] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // Grok 顶部栏较矮，但底部悬浮输入框较高
+        return {
+            top: '90px',        // 避开顶部导航栏
+            right: '22px',     // 右侧边距
+            bottom: '170px',    // 避开底部悬浮输入框
+        };
+    }
+
+    getStarChatButtonPosition() {
+        // Grok 顶部栏没有稳定的插入点，使用固定定位
+        return {
+            top: '12px',
+            right: '110px'
+        };
+    }
+
+    getDefaultChatTheme() {
+        // Grok 使用页面标题作为默认主题，并过滤尾部的 " - Grok"
+        const title = document.title || '';
+        return title.replace(/\s*[|\-]\s*Grok\s*$/i, '').trim();
+    }
+}
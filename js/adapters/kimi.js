@@ -1,7 +1,7 @@
 /**
  * Kimi Adapter
  * 
- * Supports: kimi.com, kimi.com/share/*
+ * Supports: kimi.com, kimi.moonshot.cn, kimi.com/share/*
  * Features: 固定 class 名 user-content
  */
 
@@ -11,7 +11,7 @@ class KimiAdapter extends SiteAdapter {
     }
 
     matches(url) {
-        return url.includes('kimi.com');
+        return url.includes('kimi.com') || url.includes('kimi.moonshot.cn');
     }
 
     getUserMessageSelector() {
@@ -19,10 +19,6 @@ class KimiAdapter extends SiteAdapter {
         return '.user-content';
     }
 
-    generateTurnId(element, index) {
-        return `kimi-${index}`;
-    }
-
     extractText(element) {
         // 文本直接在元素中
         return element.textContent?.trim() || '';
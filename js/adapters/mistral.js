@@ -0,0 +1,68 @@
+/**
+ * Mistral Le Chat Adapter
+ *
+ * Supports: chat.mistral.ai/chat/*
+ * Features: 用户消息气泡靠右对齐（ms-auto），通过保留换行的文本容器识别
+ */
+
+class MistralAdapter extends SiteAdapter {
+    constructor() {
+        super();
+    }
+
+    matches(url) {
+        return url.includes('chat.mistral.ai');
+    }
+
+    getUserMessageSelector() {
+        // 用户消息气泡使用 ms-auto 靠右对齐，文本在 whitespace-pre-wrap 容器中；AI 回复渲染为 prose
+        return '.ms-auto .whitespace-pre-wrap';
+    }
+
+    extractText(element) {
+        // 文本直接在元素中
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isConversationRoute(pathname) {
+        // Le Chat 对话 URL: /chat/{uuid}
+        return /^\/chat\/[A-Za-z0-9_-]+/.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            const match = pathname.match(/^\/chat\/([A-Za-z0-9_-]+)/);
+            return match ? match[1] : null;
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // Le Chat 没有固定顶部栏，底部输入框带工具栏较高
+        return {
+            top: '80px',        // 顶部留白
+            right: '22px',     // 右侧边距
+            bottom: '150px',    // 避开底部输入框及工具栏
+        };
+    }
+
+    getStarChatButtonPosition() {
+        // Le Chat 顶部没有原生操作栏，使用固定定位
+        return {
+            top: '12px',
+            right: '60px'
+        };
+    }
+
+    getDefaultChatTheme() {
+        // Le Chat 使用页面标题作为默认主题，并过滤尾部的 " | Le Chat"
+        const title = document.title || '';
+        return title.replace(/\s*[|\-]\s*(Le Chat|Mistral AI)\s*$/i, '').trim();
+    }
+}
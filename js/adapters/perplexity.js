@@ -0,0 +1,76 @@
+/**
+ * Perplexity Adapter
+ *
+ * Supports: perplexity.ai/search/*
+ * Features: 每个追问（follow-up）都是一个独立的 query 块，对应时间轴上的一个节点；
+ *           回答紧跟在 query 块之后，跳转到节点即可定位到对应回答及其引用来源
+ */
+
+class PerplexityAdapter extends SiteAdapter {
+    constructor() {
+        super();
+    }
+
+    matches(url) {
+        return url.includes('perplexity.ai');
+    }
+
+    getUserMessageSelector() {
+        // 首个提问和后续追问都使用 group/query 类名
+        return '[class*="group/query"]';
+    }
+
+    extractText(element) {
+        // 提问文本在 select-text 元素中，找不到时退回整个元素
+        const textElement = element.querySelector('.select-text');
+        return ((textElement || element).textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isConversationRoute(pathname) {
+        // Perplexity 对话 URL: /search/{slug}
+        return /^\/search\/[^\/]+/.test(pathname);
+    }
+
+    extractConversationId(pathname) {
+        try {
+            // slug 在线程生命周期内保持不变（追问不会改变 URL），直接作为对话 ID
+            const match = pathname.match(/^\/search\/([^\/]+)/);
+            return match ? decodeURIComponent(match[1]) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    findConversationContainer(firstMessage) {
+        // 使用统一的容器查找策略
+        return ContainerFinder.findConversationContainer(firstMessage);
+    }
+
+    getTimelinePosition() {
+        // Perplexity 位置配置
+        return {
+            top: '120px',       // 避开顶部导航栏
+            right: '22px',     // 右侧边距
+            bottom: '120px',    // 避开底部追问输入框
+        };
+    }
+
+    getStarChatButtonTarget() {
+        // 不使用原生插入，返回 null
+        return null;
+    }
+
+    getStarChatButtonPosition() {
+        // Perplexity 使用固定定位，返回自定义位置
+        return {
+            top: '12px',
+            right: '120px'
+        };
+    }
+
+    getDefaultChatTheme() {
+        // Perplexity 使用页面标题作为默认主题，并过滤尾部的 " | Perplexity"
+        const title = document.title || '';
+        return title.replace(/\s*\|\s*Perplexity\s*$/i, '').trim();
+    }
+}
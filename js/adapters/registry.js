@@ -15,16 +15,50 @@ class SiteAdapterRegistry {
             new TongyiAdapter(),
             new KimiAdapter(),
             new YuanbaoAdapter(),
+            new ClaudeAdapter(),
+            new CopilotAdapter(),
+            new PerplexityAdapter(),
+            new GrokAdapter(),
+            new MistralAdapter(),
             // Add more adapters here in the future
         ];
     }
 
+    /**
+     * Load user-defined site adapters from storage (see ConfigurableAdapter)
+     * Custom adapters are checked after the built-in ones
+     * @returns {Promise<void>}
+     */
+    async loadCustomAdapters() {
+        // 移除之前加载的自定义适配器，避免重复
+        this.adapters = this.adapters.filter(adapter => !(adapter instanceof ConfigurableAdapter));
+        try {
+            const configs = await StorageAdapter.get(ConfigurableAdapter.STORAGE_KEY);
+            if (!Array.isArray(configs)) return;
+            configs.forEach(config => {
+                if (ConfigurableAdapter.validateConfig(config) === null) {
+                    this.adapters.push(new ConfigurableAdapter(config));
+                }
+            });
+        } catch (e) {
+            // Silently fail
+        }
+    }
+
     /**
      * Detect and return the appropriate adapter for current site
      * @returns {SiteAdapter|null}
      */
     detectAdapter() {
-        const url = location.href;
+        return this.detectAdapterForUrl(location.href);
+    }
+
+    /**
+     * Return the adapter for an arbitrary URL (e.g. a stored bookmark)
+     * @param {string} url - Full URL
+     * @returns {SiteAdapter|null}
+     */
+    detectAdapterForUrl(url) {
         for (const adapter of this.adapters) {
             if (adapter.matches(url)) {
                 return adapter;
@@ -1,7 +1,7 @@
 /**
  * Tongyi (通义千问) Adapter
  * 
- * Supports: tongyi.com
+ * Supports: tongyi.com, tongyi.aliyun.com
  * Features: 使用 class 前缀识别用户消息和文本内容
  */
 
@@ -11,7 +11,7 @@ class TongyiAdapter extends SiteAdapter {
     }
 
     matches(url) {
-        return url.includes('tongyi.com');
+        return url.includes('tongyi.com') || url.includes('tongyi.aliyun.com');
     }
 
     getUserMessageSelector() {
@@ -19,10 +19,6 @@ class TongyiAdapter extends SiteAdapter {
         return '[class*="questionItem"]';
     }
 
-    generateTurnId(element, index) {
-        return `tongyi-${index}`;
-    }
-
     extractText(element) {
         // 文本在 bubble-- 开头的 class 中
         const bubble = element.querySelector('[class*="bubble"]');
@@ -34,10 +30,10 @@ class TongyiAdapter extends SiteAdapter {
         return location.search.includes('sessionId=');
     }
 
-    extractConversationId(pathname) {
+    extractConversationId(pathname, search = location.search) {
         try {
             // 从 URL 参数中提取 sessionId
-            const params = new URLSearchParams(location.search);
+            const params = new URLSearchParams(search);
             return params.get('sessionId');
         } catch {
             return null;
@@ -19,10 +19,6 @@ class YiyanAdapter extends SiteAdapter {
         return '[class*="questionText"]';
     }
 
-    generateTurnId(element, index) {
-        return `yiyan-${index}`;
-    }
-
     extractText(element) {
         // 文本在 span 子元素中
         const span = element.querySelector('span');
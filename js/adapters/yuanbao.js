@@ -20,10 +20,6 @@ class YuanbaoAdapter extends SiteAdapter {
         return '[class$="-content-text"]';
     }
 
-    generateTurnId(element, index) {
-        return `yuanbao-${index}`;
-    }
-
     extractText(element) {
         // 文本直接在元素中
         return element.textContent?.trim() || '';
@@ -0,0 +1,161 @@
+/**
+ * Background Service Worker
+ *
+ * Built-in sites are injected through manifest content_scripts.
+ * User-defined sites (see ConfigurableAdapter) can't be listed in the manifest,
+ * so their content scripts are registered here at runtime, limited to the
+ * origins the user has granted through optional host permissions.
+ *
+ * Also keeps the tiered bookmark storage consistent (see StorageAdapter):
+ * sync index writes from all pages are applied here one at a time, and
+ * sync index changes arriving from other devices are mirrored into storage.local.
+ * Trashed bookmarks past their retention period are purged on startup (see BookmarkTrash).
+ * Keyboard shortcuts (chrome.commands) are forwarded to the active tab (see TimelineKeyboard).
+ */
+
+importScripts('common.js', 'bookmark-trash.js');
+
+const CUSTOM_SITES_KEY = 'chatTimelineCustomSites';
+const CUSTOM_SCRIPT_ID_PREFIX = 'custom-site-';
+
+/**
+ * Re-register content scripts for all custom sites that have host access
+ */
+async function syncCustomSiteScripts() {
+    try {
+        const result = await chrome.storage.sync.get([CUSTOM_SITES_KEY]);
+        const configs = Array.isArray(result[CUSTOM_SITES_KEY]) ? result[CUSTOM_SITES_KEY] : [];
+
+        // 先注销之前注册的自定义脚本
+        const registered = await chrome.scripting.getRegisteredContentScripts();
+        const staleIds = registered
+            .map(script => script.id)
+            .filter(id => id.startsWith(CUSTOM_SCRIPT_ID_PREFIX));
+        if (staleIds.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+        }
+
+        // 复用 manifest 中的脚本列表，排除内置网站避免重复注入
+        const builtIn = chrome.runtime.getManifest().content_scripts[0];
+        const scripts = [];
+        for (const config of configs) {
+            if (!config || !config.id || typeof config.urlPattern !== 'string') continue;
+            const granted = await chrome.permissions.contains({ origins: [config.urlPattern] });
+            if (!granted) continue;
+            scripts.push({
+                id: `${CUSTOM_SCRIPT_ID_PREFIX}${config.id}`,
+                matches: [config.urlPattern],
+                excludeMatches: builtIn.matches,
+                js: builtIn.js,
+                css: builtIn.css,
+                runAt: 'document_idle'
+            });
+        }
+        if (scripts.length > 0) {
+            await chrome.scripting.registerContentScripts(scripts);
+        }
+    } catch (e) {
+        console.error('Failed to register custom site scripts:', e);
+    }
+}
+
+// 串行执行，避免并发注册导致 ID 冲突
+let syncQueue = Promise.resolve();
+function scheduleSync() {
+    syncQueue = syncQueue.then(syncCustomSiteScripts);
+    return syncQueue;
+}
+
+/**
+ * Mirror sync index changes made on other devices into storage.local
+ * The index is stored in chunks (see StorageAdapter), so changes are compared per record key
+ */
+async function mirrorSyncChanges(changes) {
+    const updates = {};
+    const lost = [];
+    Object.keys(changes).filter(key => StorageAdapter.isSyncIndexKey(key)).forEach(chunkKey => {
+        const oldChunk = changes[chunkKey].oldValue || {};
+        const newChunk = changes[chunkKey].newValue || {};
+        Object.keys(newChunk).forEach(key => {
+            if (JSON.stringify(newChunk[key]) !== JSON.stringify(oldChunk[key])) updates[key] = newChunk[key];
+        });
+        Object.keys(oldChunk).forEach(key => {
+            if (newChunk[key] === undefined && !StorageAdapter.isTombstone(oldChunk[key])) lost.push(key);
+        });
+    });
+    const keys = [...Object.keys(updates), ...lost];
+    if (keys.length === 0) return;
+    try {
+        const local = await chrome.storage.local.get(keys);
+        const toSet = {};
+        const toRemove = [];
+        Object.keys(updates).forEach(key => {
+            const entry = updates[key];
+            const current = local[key];
+            if (StorageAdapter.isTombstone(entry)) {
+                // 其他设备删除了该记录（删除之后在本设备上重新添加的保留）
+                if (current !== undefined && (current.timestamp || 0) <= entry.deleted) toRemove.push(key);
+            } else if (!current || (entry.timestamp || 0) > (current.timestamp || 0)) {
+                // 新增或其他设备上更新过（本设备自己写入的索引时间戳与本地记录相同，跳过）
+                // 保留本地完整记录中索引没有的字段；索引中的提问是截断的，
+                // 是本地完整提问的前缀时保留完整提问，否则是其他设备重命名过，以索引为准
+                const merged = { ...(current || {}), ...StorageAdapter.fromSyncIndex(entry) };
+                if (current && current.question && entry.question
+                    && String(current.question).startsWith(entry.question)) {
+                    merged.question = current.question;
+                }
+                // 标签、文件夹和标记分类以较新的索引为准（可能已被清空）
+                if (!entry.tags) delete merged.tags;
+                if (!entry.folderId) delete merged.folderId;
+                if (!entry.category) delete merged.category;
+                if (JSON.stringify(merged) !== JSON.stringify(current)) {
+                    toSet[key] = merged;
+                }
+            }
+        });
+        if (Object.keys(toSet).length > 0) {
+            await chrome.storage.local.set(toSet);
+        }
+        if (toRemove.length > 0) {
+            await chrome.storage.local.remove(toRemove);
+        }
+        // 没有墓碑就从索引中消失的记录：多个设备同时写入同一块时被覆盖，用本地记录补回
+        const restore = {};
+        lost.forEach(key => {
+            if (local[key] !== undefined && !StorageAdapter.isLocalOnlyKey(key)) {
+                restore[key] = StorageAdapter.toSyncIndex(local[key]);
+            }
+        });
+        if (Object.keys(restore).length > 0) {
+            await StorageAdapter.writeSync(restore);
+        }
+    } catch (e) {
+        console.error('Failed to mirror synced bookmarks:', e);
+    }
+}
+
+// 快捷键只在对话页生效；没有内容脚本的标签页忽略发送失败
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab || tab.id === undefined) return;
+    chrome.tabs.sendMessage(tab.id, { type: 'timelineCommand', command }).catch(() => {});
+});
+
+chrome.runtime.onInstalled.addListener(scheduleSync);
+chrome.runtime.onStartup.addListener(scheduleSync);
+chrome.runtime.onStartup.addListener(() => BookmarkTrash.purgeExpired().catch(() => {}));
+chrome.permissions.onAdded.addListener(scheduleSync);
+chrome.permissions.onRemoved.addListener(scheduleSync);
+// 其他页面的同步索引写入（见 StorageAdapter.updateSyncIndex），在这里按顺序执行
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== StorageAdapter.SYNC_INDEX_MESSAGE) return false;
+    StorageAdapter.applySyncIndex(message.entries || {}, message.removedKeys || [])
+        .then(() => sendResponse({}), e => sendResponse({ error: e.message }));
+    return true;
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    if (changes[CUSTOM_SITES_KEY]) {
+        scheduleSync();
+    }
+    mirrorSyncChanges(changes);
+});
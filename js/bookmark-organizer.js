@@ -0,0 +1,178 @@
+/**
+ * Bookmark Organizer - 收藏的标签和文件夹
+ *
+ * 标签保存在每条收藏/标记记录的 tags 字段中（字符串数组）
+ * 文件夹列表单独保存在 chatTimelineFolders 中（[{ id, name, parentId }]，可嵌套），
+ * 记录通过 folderId 归属文件夹，未归类的记录没有 folderId
+ * 修改标签或文件夹时更新记录的 timestamp，其他设备据此判断同步索引中的记录是否较新
+ */
+
+const BookmarkOrganizer = {
+    FOLDERS_KEY: 'chatTimelineFolders',
+    MAX_TAGS: 20,
+    TAG_LENGTH: 30,
+    FOLDER_NAME_LENGTH: 50,
+
+    /**
+     * 解析用户输入的标签（逗号分隔，忽略开头的 #，不区分大小写去重）
+     * @param {string} text
+     * @returns {string[]}
+     */
+    parseTags(text) {
+        const seen = new Set();
+        const tags = [];
+        String(text || '').split(/[,，、\n]/).forEach(raw => {
+            const tag = raw.replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, this.TAG_LENGTH);
+            const id = tag.toLowerCase();
+            if (!tag || seen.has(id)) return;
+            seen.add(id);
+            tags.push(tag);
+        });
+        return tags.slice(0, this.MAX_TAGS);
+    },
+
+    /**
+     * 读取文件夹列表（忽略格式错误的条目）
+     * @returns {Promise<Array<{id: string, name: string, parentId: string|null}>>}
+     */
+    async loadFolders() {
+        const folders = await StorageAdapter.get(this.FOLDERS_KEY);
+        if (!Array.isArray(folders)) return [];
+        const valid = folders.filter(folder => folder && typeof folder.id === 'string' && typeof folder.name === 'string');
+        const ids = new Set(valid.map(folder => folder.id));
+        // 父文件夹已不存在时放到顶层
+        return valid.map(folder => ({
+            id: folder.id,
+            name: folder.name,
+            parentId: ids.has(folder.parentId) ? folder.parentId : null
+        }));
+    },
+
+    async saveFolders(folders) {
+        await StorageAdapter.set(this.FOLDERS_KEY, folders);
+    },
+
+    /**
+     * 子文件夹（按名称排序）
+     */
+    getChildren(folders, parentId) {
+        return folders
+            .filter(folder => (folder.parentId || null) === (parentId || null))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * 文件夹及其所有子孙文件夹的 ID
+     * @returns {Set<string>}
+     */
+    getDescendantIds(folders, id) {
+        const ids = new Set([id]);
+        let added = true;
+        while (added) {
+            added = false;
+            folders.forEach(folder => {
+                if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+                    ids.add(folder.id);
+                    added = true;
+                }
+            });
+        }
+        return ids;
+    },
+
+    /**
+     * 新建文件夹
+     * @returns {Promise<Object>} - 新文件夹
+     */
+    async createFolder(name, parentId = null) {
+        const folders = await this.loadFolders();
+        const folder = {
+            id: `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: String(name).trim().slice(0, this.FOLDER_NAME_LENGTH),
+            parentId: folders.some(f => f.id === parentId) ? parentId : null
+        };
+        folders.push(folder);
+        await this.saveFolders(folders);
+        return folder;
+    },
+
+    async renameFolder(id, name) {
+        const folders = await this.loadFolders();
+        const folder = folders.find(f => f.id === id);
+        if (!folder) return;
+        folder.name = String(name).trim().slice(0, this.FOLDER_NAME_LENGTH);
+        await this.saveFolders(folders);
+    },
+
+    /**
+     * 移动文件夹（不能移动到自身或子孙文件夹中）
+     * @returns {Promise<boolean>} - 是否移动成功
+     */
+    async moveFolder(id, parentId) {
+        const folders = await this.loadFolders();
+        const folder = folders.find(f => f.id === id);
+        if (!folder) return false;
+        if (parentId && (this.getDescendantIds(folders, id).has(parentId) || !folders.some(f => f.id === parentId))) {
+            return false;
+        }
+        folder.parentId = parentId || null;
+        await this.saveFolders(folders);
+        return true;
+    },
+
+    /**
+     * 删除文件夹：子文件夹和其中的收藏移到上一级
+     */
+    async deleteFolder(id) {
+        const folders = await this.loadFolders();
+        const folder = folders.find(f => f.id === id);
+        if (!folder) return;
+        const parentId = folder.parentId || null;
+
+        const remaining = folders.filter(f => f.id !== id);
+        remaining.forEach(f => {
+            if (f.parentId === id) f.parentId = parentId;
+        });
+
+        const changes = {};
+        for (const prefix of StorageAdapter.TIERED_PREFIXES) {
+            const items = await StorageAdapter.getAllByPrefix(prefix);
+            Object.keys(items).forEach(key => {
+                const record = items[key];
+                if (record && record.folderId === id) {
+                    changes[key] = this.withFolder(record, parentId);
+                }
+            });
+        }
+        if (Object.keys(changes).length > 0) {
+            await StorageAdapter.setMany(changes);
+        }
+        await this.saveFolders(remaining);
+    },
+
+    /**
+     * 将收藏/标记移到文件夹（folderId 为 null 表示未归类）
+     */
+    async moveItem(key, folderId) {
+        const record = await StorageAdapter.get(key);
+        if (!record) return;
+        await StorageAdapter.set(key, this.withFolder(record, folderId));
+    },
+
+    /**
+     * 更新记录的标签
+     */
+    async setTags(key, tags) {
+        const record = await StorageAdapter.get(key);
+        if (!record) return;
+        const value = { ...record, tags, timestamp: Date.now() };
+        if (tags.length === 0) delete value.tags;
+        await StorageAdapter.set(key, value);
+    },
+
+    withFolder(record, folderId) {
+        const value = { ...record, folderId, timestamp: Date.now() };
+        if (!folderId) delete value.folderId;
+        return value;
+    }
+};
@@ -0,0 +1,253 @@
+/**
+ * Bookmark Transfer - 收藏和标记的导出/导入
+ *
+ * 覆盖所有网站的 chatTimelineStar:、chatTimelinePin: 和 chatTimelineNote:（节点备注）记录
+ * - JSON：带版本号的完整备份，可重新导入
+ * - Markdown / CSV：便于阅读和在表格中整理，仅导出，包含节点的提问和回答时间（见 TurnTimes）
+ *
+ * 导入时与现有数据合并：相同 key 的记录保留时间戳较新的一份；
+ * JSON 备份同时包含文件夹列表（见 BookmarkOrganizer），导入时补充本地没有的文件夹
+ */
+
+const BookmarkTransfer = {
+    FORMAT: 'ai-chat-timeline-bookmarks',
+    VERSION: 1,
+    PREFIXES: {
+        star: 'chatTimelineStar:',
+        pin: 'chatTimelinePin:',
+        note: 'chatTimelineNote:'
+    },
+
+    /**
+     * 读取所有收藏和标记
+     * @returns {Promise<Array<{type: string, key: string, record: Object}>>}
+     */
+    async collect() {
+        const entries = [];
+        for (const [type, prefix] of Object.entries(this.PREFIXES)) {
+            const items = await StorageAdapter.getAllByPrefix(prefix);
+            Object.keys(items).forEach(key => {
+                const record = items[key];
+                if (record && typeof record === 'object') {
+                    entries.push({ type, key, record });
+                }
+            });
+        }
+        // 按时间倒序（与收藏列表一致）
+        return entries.sort((a, b) => (b.record.timestamp || 0) - (a.record.timestamp || 0));
+    },
+
+    /**
+     * 读取记录所属节点的时间
+     * @returns {Promise<Map<string, Object>>} 存储 key → { seen, answered }
+     */
+    async collectTimes(entries) {
+        const withTurn = entries.filter(({ record }) => record.conversationKey && record.turnId);
+        const byConversation = await TurnTimes.loadMany(withTurn.map(({ record }) => record.conversationKey));
+        const result = new Map();
+        withTurn.forEach(({ key, record }) => {
+            const times = TurnTimes.recordFor(byConversation.get(record.conversationKey), record.turnId);
+            if (times) result.set(key, times);
+        });
+        return result;
+    },
+
+    /**
+     * 生成带版本号的 JSON 备份
+     */
+    toJSON(entries, folders = []) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            items: entries,
+            folders
+        }, null, 2);
+    },
+
+    /**
+     * 生成 Markdown（按网站分组）
+     */
+    toMarkdown(entries, getSiteName, times = new Map()) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const siteName = getSiteName(entry.record.url || '');
+            if (!groups.has(siteName)) groups.set(siteName, []);
+            groups.get(siteName).push(entry);
+        });
+
+        const lines = [`# ${chrome.i18n.getMessage('starredList')}`, ''];
+        groups.forEach((group, siteName) => {
+            lines.push(`## ${siteName}`, '');
+            group.forEach(({ type, key, record }) => {
+                const icon = type === 'pin' ? PinCategories.of(record).icon : (type === 'note' ? '📝' : '⭐');
+                const text = this.describe(record).replace(/([\[\]])/g, '\\$1');
+                const date = record.timestamp ? ` · ${this.formatDate(record.timestamp)}` : '';
+                const url = String(record.url || '').replace(/[ ()]/g, c => encodeURIComponent(c));
+                const tags = Array.isArray(record.tags) ? record.tags.map(tag => ` \`#${tag}\``).join('') : '';
+                const timesText = TurnTimes.describe(times.get(key), t => this.formatDate(t));
+                const turnTimes = timesText ? ` · 🕒 ${timesText}` : '';
+                lines.push(`- ${icon} [${text}](${url})${date}${turnTimes}${tags}`);
+                if (record.note) {
+                    // 备注作为列表项下的引用块
+                    String(record.note).split('\n').forEach(line => lines.push(`  > ${line}`));
+                }
+            });
+            lines.push('');
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * 生成 CSV（带 BOM，Excel 可直接打开）
+     */
+    toCSV(entries, getSiteName, times = new Map()) {
+        const header = ['type', 'site', 'text', 'url', 'kind', 'turnId', 'index', 'date', 'tags', 'note', 'asked', 'answered', 'category'];
+        const rows = entries.map(({ type, key, record }) => [
+            type,
+            getSiteName(record.url || ''),
+            this.describe(record),
+            record.url || '',
+            record.index === -1 ? 'chat' : (record.kind || 'question'),
+            record.turnId || '',
+            record.index !== undefined ? String(record.index) : '',
+            record.timestamp ? this.formatDate(record.timestamp) : '',
+            Array.isArray(record.tags) ? record.tags.join(', ') : '',
+            record.note || '',
+            TurnTimes.askedAt(times.get(key)) ? this.formatDate(times.get(key).seen) : '',
+            times.get(key)?.answered ? this.formatDate(times.get(key).answered) : '',
+            type === 'pin' ? PinCategories.of(record).id : ''
+        ]);
+        return '\uFEFF' + [header, ...rows].map(row => row.map(cell => this.escapeCSV(cell)).join(',')).join('\r\n');
+    },
+
+    /**
+     * 解析 JSON 备份
+     * @param {string} text - 文件内容
+     * @returns {{entries: Array<{type: string, key: string, record: Object}>, folders: Array}}
+     * @throws {Error} - 本地化的错误信息
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error(chrome.i18n.getMessage('importInvalidFile'));
+        }
+        if (!data || data.format !== this.FORMAT || !Array.isArray(data.items)) {
+            throw new Error(chrome.i18n.getMessage('importInvalidFile'));
+        }
+        if (typeof data.version !== 'number' || data.version > this.VERSION) {
+            throw new Error(chrome.i18n.getMessage('importUnsupportedVersion'));
+        }
+        // 只接受收藏/标记的 key，忽略其他内容
+        const entries = data.items.filter(item => item
+            && this.PREFIXES[item.type]
+            && typeof item.key === 'string'
+            && item.key.startsWith(this.PREFIXES[item.type])
+            && item.record && typeof item.record === 'object');
+        // 较早的备份没有文件夹列表
+        const folders = Array.isArray(data.folders)
+            ? data.folders.filter(folder => folder && typeof folder.id === 'string' && typeof folder.name === 'string')
+            : [];
+        return { entries, folders };
+    },
+
+    /**
+     * 补充本地没有的文件夹（同 ID 的文件夹保留本地的名称和位置）
+     */
+    async mergeFolders(folders) {
+        if (folders.length === 0) return;
+        const existing = await BookmarkOrganizer.loadFolders();
+        const ids = new Set(existing.map(folder => folder.id));
+        const added = folders
+            .filter(folder => !ids.has(folder.id))
+            .map(folder => ({ id: folder.id, name: folder.name, parentId: folder.parentId || null }));
+        if (added.length > 0) {
+            await BookmarkOrganizer.saveFolders([...existing, ...added]);
+        }
+    },
+
+    /**
+     * 合并导入的记录
+     * @param {Array} entries - parse 的返回值
+     * @param {SiteAdapterRegistry} registry - 用于按当前格式重新生成 key（见 StorageMigrations）
+     * @returns {Promise<{added: number, updated: number, skipped: number}>}
+     */
+    async merge(entries, registry) {
+        const result = { added: 0, updated: 0, skipped: 0 };
+        const existing = new Map((await this.collect()).map(entry => [entry.key, entry.record]));
+        const changes = {};
+
+        for (const entry of entries) {
+            const namespace = this.PREFIXES[entry.type].slice(0, -1);
+            const record = StorageMigrations.normalizeRecord(namespace, entry.key, entry.record, registry);
+            // 收藏面板会打开记录中的 URL，只接受 http(s) 链接（拒绝 javascript: 等）
+            if (!record || !this.isWebUrl(record.url)) {
+                result.skipped++;
+                continue;
+            }
+            const key = StorageMigrations.keyFor(namespace, record);
+            const current = existing.get(key);
+            if (!current) {
+                result.added++;
+            } else if ((record.timestamp || 0) > (current.timestamp || 0)) {
+                result.updated++;
+            } else {
+                // 已存在且不比现有的新：去重跳过
+                result.skipped++;
+                continue;
+            }
+            existing.set(key, record);
+            changes[key] = record;
+        }
+        // 一次性写入，避免逐条触发存储变化事件
+        if (Object.keys(changes).length > 0) {
+            await StorageAdapter.setMany(changes);
+        }
+        return result;
+    },
+
+    isWebUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * 触发浏览器下载
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // 记录的显示文本（整个聊天的收藏可能没有 question）
+    describe(record) {
+        return String(record.question || record.url || '').replace(/\s+/g, ' ').trim();
+    },
+
+    formatDate(timestamp) {
+        try {
+            return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+        } catch {
+            return '';
+        }
+    },
+
+    escapeCSV(value) {
+        let str = String(value ?? '');
+        // 防止表格软件把 =、+、-、@ 开头的内容当作公式执行
+        if (/^[=+\-@]/.test(str)) str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+};
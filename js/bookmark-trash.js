@@ -0,0 +1,118 @@
+/**
+ * Bookmark Trash - 收藏、标记和备注的回收站
+ *
+ * 取消收藏、取消标记、删除备注时不直接丢弃记录，而是移入回收站：
+ * - 回收站只保存在当前设备（storage.local），不占用同步空间
+ * - 每次删除后可立即撤销，也可以在收藏面板的回收站中恢复
+ * - 超过保留期限的记录自动永久删除（保留天数是同步的设置）
+ */
+
+const BookmarkTrash = {
+    TRASH_KEY: 'chatTimelineTrash',
+    RETENTION_KEY: 'chatTimelineTrashRetentionDays',
+    DEFAULT_RETENTION_DAYS: 30,
+    RETENTION_OPTIONS: [1, 7, 30, 90],
+    // 回收站条目上限，超出时丢弃最早删除的
+    MAX_ENTRIES: 500,
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    /**
+     * 读取回收站（已过期的条目不返回）
+     * @returns {Promise<Array<{id: string, key: string, record: Object, deletedAt: number}>>}
+     */
+    async load() {
+        const entries = await StorageAdapter.getLocal(this.TRASH_KEY);
+        if (!Array.isArray(entries)) return [];
+        const cutoff = Date.now() - (await this.getRetentionDays()) * this.DAY_MS;
+        return entries.filter(entry => entry && typeof entry.key === 'string' && entry.deletedAt >= cutoff);
+    },
+
+    async save(entries) {
+        await StorageAdapter.setLocal(this.TRASH_KEY, entries.slice(0, this.MAX_ENTRIES));
+    },
+
+    async getRetentionDays() {
+        const days = await StorageAdapter.get(this.RETENTION_KEY);
+        return this.RETENTION_OPTIONS.includes(days) ? days : this.DEFAULT_RETENTION_DAYS;
+    },
+
+    async setRetentionDays(days) {
+        if (!this.RETENTION_OPTIONS.includes(days)) return;
+        await StorageAdapter.set(this.RETENTION_KEY, days);
+        await this.purgeExpired();
+    },
+
+    /**
+     * 将记录移入回收站并从存储中删除
+     * @param {string[]} keys - 收藏/标记/备注的存储 key
+     * @returns {Promise<string[]>} 回收站条目 ID（用于撤销）
+     */
+    async trash(keys) {
+        const deletedAt = Date.now();
+        const added = [];
+        for (const key of keys) {
+            const record = await StorageAdapter.get(key);
+            if (!record || typeof record !== 'object') continue;
+            added.push({ id: `${deletedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, key, record, deletedAt });
+        }
+        if (keys.length > 0) {
+            await StorageAdapter.removeMany(keys);
+        }
+        if (added.length > 0) {
+            // 同一条记录只保留最近一次删除
+            const removedKeys = new Set(added.map(entry => entry.key));
+            const entries = (await this.load()).filter(entry => !removedKeys.has(entry.key));
+            await this.save([...added, ...entries]);
+        }
+        return added.map(entry => entry.id);
+    },
+
+    /**
+     * 恢复回收站中的记录
+     * 删除后又重新收藏过的，保留较新的记录
+     * @param {string[]} ids - 回收站条目 ID
+     * @returns {Promise<number>} 恢复的条目数
+     */
+    async restore(ids) {
+        const wanted = new Set(ids);
+        const entries = await this.load();
+        const changes = {};
+        for (const entry of entries) {
+            if (!wanted.has(entry.id)) continue;
+            const current = await StorageAdapter.get(entry.key);
+            if (current && (current.timestamp || 0) > (entry.record.timestamp || 0)) continue;
+            changes[entry.key] = entry.record;
+        }
+        if (Object.keys(changes).length > 0) {
+            await StorageAdapter.setMany(changes);
+        }
+        await this.save(entries.filter(entry => !wanted.has(entry.id)));
+        return Object.keys(changes).length;
+    },
+
+    /**
+     * 永久删除回收站中的条目
+     * @param {string[]} ids - 回收站条目 ID
+     */
+    async purge(ids) {
+        const wanted = new Set(ids);
+        const entries = await this.load();
+        await this.save(entries.filter(entry => !wanted.has(entry.id)));
+    },
+
+    async empty() {
+        await this.save([]);
+    },
+
+    /**
+     * 删除超过保留期限的条目
+     */
+    async purgeExpired() {
+        const stored = await StorageAdapter.getLocal(this.TRASH_KEY);
+        if (!Array.isArray(stored)) return;
+        const entries = await this.load();
+        if (entries.length !== stored.length) {
+            await this.save(entries);
+        }
+    }
+};
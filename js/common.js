@@ -36,6 +36,18 @@ const TIMELINE_CONFIG = {
     OBSERVER_TIMEOUT: 5000, // ms - timeout for mutation observers
     ZERO_TURNS_TIMER: 350, // ms - wait before clearing UI when no turns found
     
+    // Answer markers
+    ANSWER_PREVIEW_LENGTH: 240, // chars - opening of an AI answer kept for tooltip/starred list
+    
+    // Notes
+    NOTE_MAX_LENGTH: 5000, // chars - per-turn Markdown note
+    
+    // Trash
+    UNDO_TOAST_DURATION: 6000, // ms - how long the undo toast stays after a delete
+    
+    // Turn links
+    TURN_FLASH_DURATION: 2000, // ms - highlight on the turn opened from a link
+    
     // Virtualization
     VIRTUAL_BUFFER_MIN: 100, // px - minimum buffer for virtualization
     
@@ -172,16 +184,136 @@ const TimelineUtils = {
     },
 };
 
+// ==================== Turn Identity ====================
+
+/**
+ * Turn Identity - 基于内容的稳定节点 ID
+ *
+ * 节点 ID = 规范化文本指纹 + 序号（相同文本在对话中第几次出现）
+ * 编辑前面的问题、切换分支时，其他节点的 ID 保持不变，收藏和标记不会错位
+ *
+ * 支持分支的网站（如 ChatGPT 的 "< 2/3 >"）会在 ID 后附加分支路径：
+ * {指纹}-{序号}~{节点位置}.{版本}_{节点位置}.{版本}
+ * 分支点及其之后的节点属于特定分支，不同分支中即使文本相同也是不同的节点
+ *
+ * AI 回答节点的 ID 由所属提问派生（指纹加 "_a" 后缀），回答生成过程中保持不变
+ */
+const TurnIdentity = {
+    /**
+     * 规范化文本（合并空白、统一全半角、忽略大小写）
+     */
+    normalize(text) {
+        return String(text || '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+    },
+
+    /**
+     * 计算文本指纹（FNV-1a 32 位哈希，base36 编码）
+     * @param {string} text - 原始文本
+     * @returns {string}
+     */
+    fingerprint(text) {
+        const str = this.normalize(text);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * 为一组按顺序排列的节点文本生成 ID
+     * @param {string[]} texts - 节点文本（按页面顺序）
+     * @param {Array<{current: number, total: number}|null>} [branches] - 各节点的分支信息
+     * @returns {Array<{id: string, fingerprint: string, ordinal: number, branchPath: string}>}
+     */
+    build(texts, branches = []) {
+        const seen = new Map();
+        const path = [];
+        return texts.map((text, index) => {
+            const branch = branches[index];
+            if (branch) path.push(`${index}.${branch.current}`);
+            const branchPath = path.join('_');
+            
+            const fingerprint = this.fingerprint(text);
+            const ordinal = seen.get(fingerprint) || 0;
+            seen.set(fingerprint, ordinal + 1);
+            return this.compose(fingerprint, ordinal, branchPath);
+        });
+    },
+
+    /**
+     * 生成某个提问对应的 AI 回答节点 ID
+     * @param {{fingerprint: string, ordinal: number, branchPath: string}} question - 提问的 identity
+     * @returns {{id: string, fingerprint: string, ordinal: number, branchPath: string}}
+     */
+    answerOf(question) {
+        return this.compose(`${question.fingerprint}_a`, question.ordinal, question.branchPath);
+    },
+
+    /**
+     * 组装节点 ID
+     */
+    compose(fingerprint, ordinal, branchPath) {
+        const id = branchPath ? `${fingerprint}-${ordinal}~${branchPath}` : `${fingerprint}-${ordinal}`;
+        return { id, fingerprint, ordinal, branchPath };
+    },
+
+    /**
+     * 解析节点 ID
+     * @param {string} turnId - 节点 ID
+     * @returns {{fingerprint: string, ordinal: number, branchPath: string}}
+     */
+    parse(turnId) {
+        const [str, branchPath = ''] = String(turnId || '').split('~');
+        const dash = str.lastIndexOf('-');
+        if (dash === -1) return { fingerprint: str, ordinal: 0, branchPath };
+        return {
+            fingerprint: str.slice(0, dash),
+            ordinal: parseInt(str.slice(dash + 1), 10) || 0,
+            branchPath
+        };
+    }
+};
+
 // ==================== Storage Adapter ====================
 
 /**
  * Storage Adapter - 跨网站存储
  * 
- * 优先使用 chrome.storage.sync（跨网站、跨设备同步）
- * 降级到 chrome.storage.local（跨网站、本地存储）
+ * 优先使用 chrome.storage（跨网站）
  * 最后降级到 localStorage（仅当前网站）
+ *
+ * ✅ 分层存储（收藏、标记等会不断增长的数据）：
+ * - 完整记录保存在 chrome.storage.local（本地，容量充足）
+ * - chrome.storage.sync 只保存精简索引，用于跨设备同步（上限约 100 KB / 512 项）
+ *   索引按 key 的哈希分成固定的几块保存，记录数量不受 512 项的限制，批量修改也只写入一次
+ * - 删除的记录在索引中保留为墓碑 { deleted }，其他设备据此删除本地记录
+ * - 同步写入（包括删除）被拒绝时记录同步状态，界面据此显示警告并稍后重试；数据仍完整保存在本地
+ * - 备注（chatTimelineNote:）只保存在本地，不写入同步索引
+ * 其他数据（设置、自定义网站等）仍直接保存在 chrome.storage.sync
  */
 const StorageAdapter = {
+    // 使用分层存储的 key 前缀
+    TIERED_PREFIXES: ['chatTimelineStar:', 'chatTimelinePin:', 'chatTimelineNote:'],
+    // 只保存在本地、不写入同步索引的分层数据（备注正文较长，索引中没有意义）
+    LOCAL_ONLY_PREFIXES: ['chatTimelineNote:'],
+    // 同步状态（仅保存在本地）：{ error, timestamp, pendingKeys, pendingRemovals }
+    SYNC_STATUS_KEY: 'chatTimelineSyncStatus',
+    // 同步索引分块：{prefix}{0..CHUNKS-1}，每块为 { 记录 key: 精简记录或墓碑 }
+    // 每块不超过 chrome.storage.sync 的单项上限（8 KB），块数乘以单项上限大于总配额
+    SYNC_INDEX_PREFIX: 'chatTimelineSyncIndex:',
+    SYNC_INDEX_CHUNKS: 32,
+    // 墓碑保留时间，超过后在写入该块时清除
+    SYNC_TOMBSTONE_TTL: 30 * 24 * 60 * 60 * 1000,
+    // 内容脚本和设置页通过后台脚本写入索引，多个标签页同时修改同一块时不会互相覆盖
+    SYNC_INDEX_MESSAGE: 'timelineSyncIndex',
+    syncIndexQueue: Promise.resolve(),
+    // 精简索引中保留的文本长度
+    SYNC_INDEX_TEXT_LENGTH: 80,
+    // 同步空间使用率超过该比例时提示
+    SYNC_USAGE_WARNING_RATIO: 0.9,
+
     /**
      * 检查是否支持 chrome.storage
      */
@@ -189,6 +321,166 @@ const StorageAdapter = {
         return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
     },
 
+    /**
+     * 是否为分层存储的 key
+     */
+    isTieredKey(key) {
+        return this.TIERED_PREFIXES.some(prefix => key.startsWith(prefix));
+    },
+
+    /**
+     * 是否为只保存在本地的 key
+     */
+    isLocalOnlyKey(key) {
+        return this.LOCAL_ONLY_PREFIXES.some(prefix => key.startsWith(prefix));
+    },
+
+    /**
+     * 是否为同步索引块的 key
+     */
+    isSyncIndexKey(key) {
+        return key.startsWith(this.SYNC_INDEX_PREFIX);
+    },
+
+    /**
+     * 记录所在的同步索引块
+     * @param {string} key - 记录的存储 key
+     * @returns {string}
+     */
+    syncIndexChunkKey(key) {
+        // FNV-1a，各设备上结果一致
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${this.SYNC_INDEX_PREFIX}${(hash >>> 0) % this.SYNC_INDEX_CHUNKS}`;
+    },
+
+    /**
+     * 是否为已删除记录的墓碑
+     */
+    isTombstone(entry) {
+        return !!entry && typeof entry === 'object' && typeof entry.deleted === 'number' && entry.url === undefined;
+    },
+
+    /**
+     * 从 storage.sync 的内容中取出同步索引（包括墓碑）
+     * @param {Object} synced - storage.sync 中的键值对
+     * @returns {Object} 记录 key → 精简记录或墓碑
+     */
+    collectSyncIndex(synced) {
+        const index = {};
+        Object.keys(synced).forEach(key => {
+            if (this.isSyncIndexKey(key) && synced[key] && typeof synced[key] === 'object') {
+                Object.assign(index, synced[key]);
+            }
+        });
+        return index;
+    },
+
+    /**
+     * 修改同步索引
+     * 在后台脚本中按顺序执行；其他页面发送消息给后台脚本，后台脚本不可用时直接写入
+     * @param {Object} entries - 记录 key → 精简记录（toSyncIndex 的返回值）
+     * @param {string[]} removedKeys - 已删除的记录 key（写入墓碑）
+     * @returns {Promise<void>} 写入被拒绝时抛出
+     */
+    async updateSyncIndex(entries, removedKeys = []) {
+        const isServiceWorker = typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+        if (!isServiceWorker && chrome.runtime && chrome.runtime.sendMessage) {
+            let response;
+            try {
+                response = await chrome.runtime.sendMessage({ type: this.SYNC_INDEX_MESSAGE, entries, removedKeys });
+            } catch {
+                return this.applySyncIndex(entries, removedKeys);
+            }
+            if (response && response.error) throw new Error(response.error);
+            return;
+        }
+        return this.applySyncIndex(entries, removedKeys);
+    },
+
+    /**
+     * 读取涉及的索引块、修改后写回（同一上下文中按顺序执行）
+     */
+    applySyncIndex(entries, removedKeys = []) {
+        const run = this.syncIndexQueue.catch(() => {}).then(async () => {
+            const now = Date.now();
+            const changes = { ...entries };
+            removedKeys.forEach(key => {
+                changes[key] = { deleted: now };
+            });
+            const chunkKeys = Array.from(new Set(Object.keys(changes).map(key => this.syncIndexChunkKey(key))));
+            if (chunkKeys.length === 0) return;
+            const current = await this.callArea('sync', 'get', chunkKeys);
+            const chunks = {};
+            chunkKeys.forEach(chunkKey => {
+                const chunk = { ...(current[chunkKey] || {}) };
+                Object.keys(chunk).forEach(key => {
+                    if (this.isTombstone(chunk[key]) && now - chunk[key].deleted > this.SYNC_TOMBSTONE_TTL) {
+                        delete chunk[key];
+                    }
+                });
+                chunks[chunkKey] = chunk;
+            });
+            Object.keys(changes).forEach(key => {
+                chunks[this.syncIndexChunkKey(key)][key] = changes[key];
+            });
+            await this.callArea('sync', 'set', chunks);
+        });
+        this.syncIndexQueue = run;
+        return run;
+    },
+
+    /**
+     * 生成同步索引中的精简记录
+     * @param {Object} record - 完整记录
+     * @returns {Object}
+     */
+    toSyncIndex(record) {
+        if (!record || typeof record !== 'object') return record;
+        const entry = { url: record.url, index: record.index, timestamp: record.timestamp };
+        if (record.turnId) entry.turnId = record.turnId;
+        if (record.kind) entry.kind = record.kind;
+        if (record.question) entry.question = String(record.question).slice(0, this.SYNC_INDEX_TEXT_LENGTH);
+        // 标签和文件夹很短，随索引同步，其他设备上的整理结果保持一致
+        if (Array.isArray(record.tags) && record.tags.length > 0) entry.tags = record.tags;
+        if (record.folderId) entry.folderId = record.folderId;
+        // 标记分类（见 PinCategories）
+        if (record.category) entry.category = record.category;
+        return entry;
+    },
+
+    /**
+     * 从同步索引还原记录（当前设备没有本地完整记录时使用）
+     * 标签、文件夹和标记分类原样保留
+     * @param {Object} entry - 精简记录（或旧版本直接存放在 sync 中的完整记录）
+     * @returns {Object}
+     */
+    fromSyncIndex(entry) {
+        if (!entry || typeof entry !== 'object' || typeof entry.url !== 'string') return entry;
+        return { urlWithoutProtocol: entry.url.replace(/^https?:\/\//, ''), ...entry };
+    },
+
+    /**
+     * 调用 chrome.storage 的回调式 API，并将 lastError 转为异常
+     * @param {string} areaName - 'sync' 或 'local'
+     * @param {string} method - 'get' | 'set' | 'remove' | 'getBytesInUse'
+     */
+    callArea(areaName, method, arg) {
+        return new Promise((resolve, reject) => {
+            chrome.storage[areaName][method](arg, (result) => {
+                const error = chrome.runtime && chrome.runtime.lastError;
+                if (error) {
+                    reject(new Error(error.message));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    },
+
     /**
      * 获取存储的值
      * @param {string} key - 存储键名
@@ -197,12 +489,17 @@ const StorageAdapter = {
     async get(key) {
         try {
             if (this.isChromeStorageAvailable()) {
-                // 使用 chrome.storage.sync（跨网站、跨设备）
-                return new Promise((resolve) => {
-                    chrome.storage.sync.get([key], (result) => {
-                        resolve(result[key]);
-                    });
-                });
+                if (this.isTieredKey(key)) {
+                    // 优先读取本地完整记录，没有时使用同步索引
+                    const local = await this.callArea('local', 'get', [key]);
+                    if (local[key] !== undefined) return local[key];
+                    const chunkKey = this.syncIndexChunkKey(key);
+                    const synced = await this.callArea('sync', 'get', [chunkKey]);
+                    const entry = (synced[chunkKey] || {})[key];
+                    return this.isTombstone(entry) ? undefined : this.fromSyncIndex(entry);
+                }
+                const result = await this.callArea('sync', 'get', [key]);
+                return result[key];
             } else {
                 // 降级到 localStorage（仅当前网站）
                 const value = localStorage.getItem(key);
@@ -220,16 +517,199 @@ const StorageAdapter = {
      * @returns {Promise<void>}
      */
     async set(key, value) {
+        return this.setMany({ [key]: value });
+    },
+
+    /**
+     * 批量设置存储的值（只触发一次变化事件）
+     * @param {Object} items - 键值对
+     * @returns {Promise<void>}
+     */
+    async setMany(items) {
         try {
             if (this.isChromeStorageAvailable()) {
-                // 使用 chrome.storage.sync（跨网站、跨设备）
-                return new Promise((resolve) => {
-                    chrome.storage.sync.set({ [key]: value }, () => {
-                        resolve();
-                    });
+                const local = {};
+                const synced = {};
+                Object.keys(items).forEach(key => {
+                    if (this.isTieredKey(key)) {
+                        local[key] = items[key];
+                        if (!this.isLocalOnlyKey(key)) {
+                            synced[key] = this.toSyncIndex(items[key]);
+                        }
+                    } else {
+                        synced[key] = items[key];
+                    }
                 });
+                // 完整记录先写入本地，同步失败时也不会丢失
+                if (Object.keys(local).length > 0) {
+                    await this.callArea('local', 'set', local);
+                }
+                if (Object.keys(synced).length > 0) {
+                    await this.writeSync(synced);
+                }
             } else {
                 // 降级到 localStorage（仅当前网站）
+                Object.keys(items).forEach(key => {
+                    localStorage.setItem(key, JSON.stringify(items[key]));
+                });
+            }
+        } catch (e) {
+            // Silently fail
+        }
+    },
+
+    /**
+     * 写入 chrome.storage.sync，被拒绝（超出配额、写入频率限制等）时记录同步状态
+     * 分层 key 写入同步索引，其他 key 直接写入
+     * @param {Object} items - 键值对（分层 key 的值为 toSyncIndex 的返回值）
+     */
+    async writeSync(items) {
+        const entries = {};
+        const others = {};
+        Object.keys(items).forEach(key => {
+            if (this.isTieredKey(key)) {
+                entries[key] = items[key];
+            } else {
+                others[key] = items[key];
+            }
+        });
+        if (Object.keys(others).length > 0) {
+            try {
+                await this.callArea('sync', 'set', others);
+            } catch (e) {
+                await this.reportSyncError(e, []);
+            }
+        }
+        if (Object.keys(entries).length > 0) {
+            try {
+                await this.updateSyncIndex(entries);
+            } catch (e) {
+                await this.reportSyncError(e, Object.keys(entries));
+            }
+        }
+    },
+
+    /**
+     * 记录同步失败（界面通过 SYNC_STATUS_KEY 的变化显示警告）
+     * @param {Error} error - 失败原因
+     * @param {string[]} keys - 未能同步的分层 key，稍后重试
+     * @param {string[]} removedKeys - 未能从同步索引中删除的分层 key，稍后重试
+     */
+    async reportSyncError(error, keys, removedKeys = []) {
+        try {
+            const status = await this.getSyncStatus();
+            const pendingKeys = Array.from(new Set([...((status && status.pendingKeys) || []), ...keys]))
+                .filter(key => !removedKeys.includes(key));
+            const pendingRemovals = Array.from(new Set([...((status && status.pendingRemovals) || []), ...removedKeys]))
+                .filter(key => !keys.includes(key));
+            await this.callArea('local', 'set', {
+                [this.SYNC_STATUS_KEY]: { error: error.message, timestamp: Date.now(), pendingKeys, pendingRemovals }
+            });
+        } catch (e) {
+            // Silently fail
+        }
+    },
+
+    /**
+     * 获取同步状态
+     * @returns {Promise<{error: string, timestamp: number, pendingKeys: string[], pendingRemovals: string[]}|null>}
+     */
+    async getSyncStatus() {
+        try {
+            if (!this.isChromeStorageAvailable()) return null;
+            const result = await this.callArea('local', 'get', [this.SYNC_STATUS_KEY]);
+            return result[this.SYNC_STATUS_KEY] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * 获取同步空间使用情况
+     * @returns {Promise<{bytesInUse: number, quotaBytes: number, items: number, maxItems: number}|null>}
+     */
+    async getSyncUsage() {
+        try {
+            if (!this.isChromeStorageAvailable()) return null;
+            const bytesInUse = await this.callArea('sync', 'getBytesInUse', null);
+            const all = await this.callArea('sync', 'get', null);
+            return {
+                bytesInUse,
+                quotaBytes: chrome.storage.sync.QUOTA_BYTES || 102400,
+                items: Object.keys(all).length,
+                maxItems: chrome.storage.sync.MAX_ITEMS || 512
+            };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * 同步空间是否接近上限
+     * @returns {Promise<number|null>} - 使用率（0-1），未接近上限时返回 null
+     */
+    async getSyncUsageWarning() {
+        const usage = await this.getSyncUsage();
+        if (!usage) return null;
+        const ratio = Math.max(usage.bytesInUse / usage.quotaBytes, usage.items / usage.maxItems);
+        return ratio >= this.SYNC_USAGE_WARNING_RATIO ? ratio : null;
+    },
+
+    /**
+     * 重试之前同步失败的记录，成功后清除同步状态
+     */
+    async retrySync() {
+        try {
+            const status = await this.getSyncStatus();
+            if (!status) return;
+            const keys = status.pendingKeys || [];
+            const removals = status.pendingRemovals || [];
+            const all = [...keys, ...removals];
+            const local = all.length > 0 ? await this.callArea('local', 'get', all) : {};
+            // 已删除的记录不再同步；删除后又重新添加的记录不再删除
+            const items = {};
+            keys.forEach(key => {
+                if (local[key] !== undefined) items[key] = this.toSyncIndex(local[key]);
+            });
+            const removedKeys = removals.filter(key => local[key] === undefined);
+            if (Object.keys(items).length > 0 || removedKeys.length > 0) {
+                await this.updateSyncIndex(items, removedKeys);
+            }
+            await this.callArea('local', 'remove', [this.SYNC_STATUS_KEY]);
+        } catch (e) {
+            // 仍然失败，保留同步状态
+        }
+    },
+
+    /**
+     * 读取仅保存在当前设备的值（storage.local，不同步）
+     * @param {string} key - 存储键名
+     * @returns {Promise<any>}
+     */
+    async getLocal(key) {
+        try {
+            if (this.isChromeStorageAvailable()) {
+                const result = await this.callArea('local', 'get', [key]);
+                return result[key];
+            }
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    /**
+     * 写入仅保存在当前设备的值（storage.local，不同步）
+     * @param {string} key - 存储键名
+     * @param {any} value - 值
+     * @returns {Promise<void>}
+     */
+    async setLocal(key, value) {
+        try {
+            if (this.isChromeStorageAvailable()) {
+                await this.callArea('local', 'set', { [key]: value });
+            } else {
                 localStorage.setItem(key, JSON.stringify(value));
             }
         } catch (e) {
@@ -243,17 +723,36 @@ const StorageAdapter = {
      * @returns {Promise<void>}
      */
     async remove(key) {
+        return this.removeMany([key]);
+    },
+
+    /**
+     * 批量删除存储的值（一次写入，只触发一次存储变化事件）
+     * 分层记录从本地删除，并在同步索引中写入墓碑；写入被拒绝时记录同步状态，稍后重试
+     * @param {string[]} keys - 存储键名
+     * @returns {Promise<void>}
+     */
+    async removeMany(keys) {
         try {
             if (this.isChromeStorageAvailable()) {
-                // 使用 chrome.storage.sync（跨网站、跨设备）
-                return new Promise((resolve) => {
-                    chrome.storage.sync.remove([key], () => {
-                        resolve();
-                    });
-                });
+                const tiered = keys.filter(key => this.isTieredKey(key));
+                const others = keys.filter(key => !this.isTieredKey(key));
+                if (tiered.length > 0) {
+                    await this.callArea('local', 'remove', tiered);
+                }
+                if (others.length > 0) {
+                    await this.callArea('sync', 'remove', others);
+                }
+                const indexed = tiered.filter(key => !this.isLocalOnlyKey(key));
+                if (indexed.length > 0) {
+                    try {
+                        await this.updateSyncIndex({}, indexed);
+                    } catch (e) {
+                        await this.reportSyncError(e, [], indexed);
+                    }
+                }
             } else {
-                // 降级到 localStorage（仅当前网站）
-                localStorage.removeItem(key);
+                keys.forEach(key => localStorage.removeItem(key));
             }
         } catch (e) {
             // Silently fail
@@ -268,18 +767,32 @@ const StorageAdapter = {
     async getAllByPrefix(prefix) {
         try {
             if (this.isChromeStorageAvailable()) {
-                // 使用 chrome.storage.sync（跨网站、跨设备）
-                return new Promise((resolve) => {
-                    chrome.storage.sync.get(null, (items) => {
-                        const result = {};
-                        Object.keys(items).forEach(key => {
-                            if (key.startsWith(prefix)) {
-                                result[key] = items[key];
-                            }
-                        });
-                        resolve(result);
-                    });
+                const result = {};
+                const synced = await this.callArea('sync', 'get', null);
+                Object.keys(synced).forEach(key => {
+                    if (key.startsWith(prefix) && !this.isTieredKey(key) && !this.isSyncIndexKey(key)) {
+                        result[key] = synced[key];
+                    }
                 });
+                // 分层数据：本地完整记录覆盖同步索引；同步失败的记录只存在于本地
+                if (this.TIERED_PREFIXES.some(p => p.startsWith(prefix) || prefix.startsWith(p))) {
+                    const index = this.collectSyncIndex(synced);
+                    // 已删除、但墓碑还没写入同步索引的记录
+                    const status = await this.getSyncStatus();
+                    const pendingRemovals = new Set((status && status.pendingRemovals) || []);
+                    Object.keys(index).forEach(key => {
+                        if (key.startsWith(prefix) && this.isTieredKey(key) && !this.isTombstone(index[key]) && !pendingRemovals.has(key)) {
+                            result[key] = this.fromSyncIndex(index[key]);
+                        }
+                    });
+                    const local = await this.callArea('local', 'get', null);
+                    Object.keys(local).forEach(key => {
+                        if (key.startsWith(prefix) && this.isTieredKey(key)) {
+                            result[key] = local[key];
+                        }
+                    });
+                }
+                return result;
             } else {
                 // 降级到 localStorage（仅当前网站）
                 const result = {};
@@ -307,7 +820,24 @@ const StorageAdapter = {
     addChangeListener(callback) {
         try {
             if (this.isChromeStorageAvailable()) {
-                chrome.storage.onChanged.addListener(callback);
+                // 分层数据以本地完整记录为准：
+                // 只转发 local 区的分层 key 和同步状态、sync 区的其他 key
+                // （其他设备同步过来的索引由后台脚本写入本地后再触发）
+                const handler = (changes, areaName) => {
+                    const filtered = {};
+                    Object.keys(changes).forEach(key => {
+                        const isLocalKey = this.isTieredKey(key) || key === this.SYNC_STATUS_KEY;
+                        if (this.isSyncIndexKey(key)) return;
+                        if ((areaName === 'local') === isLocalKey) {
+                            filtered[key] = changes[key];
+                        }
+                    });
+                    if (Object.keys(filtered).length > 0) {
+                        callback(filtered, areaName);
+                    }
+                };
+                callback._chromeStorageHandler = handler;
+                chrome.storage.onChanged.addListener(handler);
             } else {
                 // localStorage 的 storage 事件只能监听其他标签页的变化
                 // 需要包装 callback 以适配 storage 事件格式
@@ -341,7 +871,10 @@ const StorageAdapter = {
     removeChangeListener(callback) {
         try {
             if (this.isChromeStorageAvailable()) {
-                chrome.storage.onChanged.removeListener(callback);
+                if (callback._chromeStorageHandler) {
+                    chrome.storage.onChanged.removeListener(callback._chromeStorageHandler);
+                    delete callback._chromeStorageHandler;
+                }
             } else {
                 // 移除 localStorage 的 storage 事件监听器
                 if (callback._storageHandler) {
@@ -0,0 +1,79 @@
+/**
+ * Conversation Export - 会话导出为 Markdown
+ *
+ * 开头是与时间轴对应的目录，每个提问一节：
+ * - 标题为序号、收藏/标记图标和提问开头，目录链接到各节的锚点（turn-序号）
+ * - 正文为完整的提问和回答（由 DomMarkdown 从页面转换，保留代码块、列表和表格）
+ * - 提问时间和备注放在标题下方
+ * 从某个节点导出时序号保持不变，便于与原会话对照
+ */
+
+const ConversationExport = {
+    // 标题中提问的最大长度
+    HEADING_LENGTH: 80,
+
+    /**
+     * 生成 Markdown
+     * @param {Array<Object>} turns - 按顺序的问答：
+     *   { number, title, question, answer, starred, pinCategories, notes, times }
+     *   title 为提问的纯文本（用于标题），question / answer 为 Markdown
+     * @param {{title: string, url: string}} meta - 会话标题和链接
+     * @returns {string}
+     */
+    toMarkdown(turns, meta) {
+        const lines = [`# ${this.escapeInline(meta.title)}`, '', `<${meta.url}>`, ''];
+        const headings = turns.map(turn => `${turn.number}. ${this.marks(turn)}${this.escapeInline(this.heading(turn.title || turn.question))}`);
+
+        lines.push(`## ${chrome.i18n.getMessage('exportContents')}`, '');
+        turns.forEach((turn, i) => {
+            lines.push(`- [${headings[i]}](#${this.anchor(turn)})`);
+        });
+        lines.push('');
+
+        turns.forEach((turn, i) => {
+            lines.push(`<a id="${this.anchor(turn)}"></a>`, '', `## ${headings[i]}`, '');
+            const times = TurnTimes.describe(turn.times, t => BookmarkTransfer.formatDate(t));
+            if (times) {
+                lines.push(`*🕒 ${times}*`, '');
+            }
+            (turn.notes || []).forEach(note => {
+                lines.push(...String(note).trim().split('\n').map((line, j) => `> ${j === 0 ? '📝 ' : ''}${line}`.trimEnd()), '');
+            });
+            lines.push(String(turn.question || '').trim(), '');
+            if (turn.answer) {
+                lines.push(`### ${chrome.i18n.getMessage('answerTag')}`, '');
+                lines.push(turn.answer.trim(), '');
+            }
+        });
+        return lines.join('\n');
+    },
+
+    anchor(turn) {
+        return `turn-${turn.number}`;
+    },
+
+    // 收藏和标记分类图标（后接空格），没有时为空
+    marks(turn) {
+        const icons = [turn.starred ? '⭐' : '', ...(turn.pinCategories || []).map(category => category.icon)].join('');
+        return icons ? `${icons} ` : '';
+    },
+
+    // 提问的第一行，过长时截断
+    heading(question) {
+        const line = String(question || '').trim().split('\n')[0].trim();
+        return line.length > this.HEADING_LENGTH ? `${line.slice(0, this.HEADING_LENGTH)}…` : line;
+    },
+
+    // 标题中的 Markdown 特殊字符
+    escapeInline(text) {
+        return String(text || '').replace(/([\\`*_\[\]<>#])/g, '\\$1');
+    },
+
+    /**
+     * 导出文件名：会话标题（去掉文件名中不允许的字符）+ 起始序号
+     */
+    filename(title, fromIndex) {
+        const base = String(title || 'conversation').replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'conversation';
+        return fromIndex > 0 ? `${base}-from-${fromIndex + 1}.md` : `${base}.md`;
+    }
+};
@@ -0,0 +1,83 @@
+/**
+ * Conversation Key - 收藏/标记所属会话的标识
+ *
+ * 存储 key 格式：
+ *   chatTimelineStar:{site}:{conversationId}:{turnId 或 index}
+ *   chatTimelinePin:{site}:{conversationId}:{turnId 或 index}
+ * 整个对话的收藏使用 index -1
+ *
+ * 会话 ID 由适配器从 URL 中提取，与查询参数、hash 无关；
+ * 同一产品的多个域名（旧域名、地区域名）归为同一个站点，收藏不会因域名不同而分散
+ */
+
+const ConversationKey = {
+    // 域名 → 站点族
+    SITE_ALIASES: {
+        'chatgpt.com': 'chatgpt',
+        'chat.openai.com': 'chatgpt',
+        'kimi.com': 'kimi',
+        'kimi.moonshot.cn': 'kimi',
+        'tongyi.com': 'tongyi',
+        'tongyi.aliyun.com': 'tongyi'
+    },
+
+    // 会话 ID 无法识别时，从查询参数中去掉的跟踪参数
+    IGNORED_PARAMS: /^(utm_\w+|ref|ref_src|source|from|spm|fbclid|gclid)$/i,
+
+    /**
+     * 站点标识：别名域名归为同一站点族，其余使用去掉 www. 的主机名
+     * @param {string} hostname - 主机名
+     * @returns {string}
+     */
+    getSiteId(hostname) {
+        const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+        return this.SITE_ALIASES[host] || host;
+    },
+
+    /**
+     * 无法识别会话 ID 时的后备标识：路径 + 排序后的查询参数
+     * 去掉结尾的 /、跟踪参数和 hash，避免同一页面产生多个 key
+     * @param {URL} parsed
+     * @returns {string}
+     */
+    getFallbackId(parsed) {
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([name]) => !this.IGNORED_PARAMS.test(name))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+        return (parsed.pathname.replace(/\/+$/, '') || '/') + search;
+    },
+
+    /**
+     * 根据 URL 生成会话 key：{site}:{conversationId}
+     * @param {string} url - 完整 URL
+     * @param {SiteAdapter|null} adapter - 对应网站的适配器
+     * @returns {string|null}
+     */
+    fromUrl(url, adapter) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        let conversationId = null;
+        if (adapter) {
+            try { conversationId = adapter.getConversationIdFromUrl(url); } catch {}
+        }
+        if (!conversationId) {
+            conversationId = this.getFallbackId(parsed);
+        }
+        return `${this.getSiteId(parsed.hostname)}:${encodeURIComponent(conversationId)}`;
+    },
+
+    /**
+     * 某个会话的存储 key 前缀
+     * @param {string} namespace - 'chatTimelineStar' 或 'chatTimelinePin'
+     * @param {string} conversationKey - fromUrl 的返回值
+     * @returns {string}
+     */
+    prefix(namespace, conversationKey) {
+        return `${namespace}:${conversationKey}:`;
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * DOM Markdown - 将网页上渲染好的消息转换回 Markdown
+ *
+ * 所有网站共用（见 SiteAdapter.extractAssistantMarkdown），用于导出会话：
+ * - 保留标题、段落、列表（含嵌套）、引用、代码块（含语言）、表格、链接、图片和 KaTeX 公式
+ * - 跳过按钮、图标等界面元素
+ * - 代码块先用占位符代替，最后按所在列表/引用的缩进还原，代码中的空行不会被合并
+ */
+
+const DomMarkdown = {
+    SKIP_TAGS: new Set(['BUTTON', 'SVG', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'INPUT', 'TEXTAREA', 'SELECT', 'CANVAS', 'VIDEO', 'AUDIO', 'IFRAME']),
+    BLOCK_TAGS: new Set([
+        'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION',
+        'DETAILS', 'SUMMARY', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'PRE', 'BLOCKQUOTE',
+        'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'HR', 'DL', 'DT', 'DD'
+    ]),
+    PLACEHOLDER: '\u0000',
+
+    /**
+     * @param {Node} root - 消息元素（也可以是 Range.cloneContents() 得到的片段）
+     * @returns {string}
+     */
+    convert(root) {
+        if (!root) return '';
+        const ctx = { codeBlocks: [] };
+        const p = this.PLACEHOLDER;
+        // 合并多余的空行（代码块此时还是占位符，不受影响）
+        return this.collapseBlankLines(this.children(root, ctx))
+            // 还原代码块：每行加上占位符所在行的缩进或引用前缀
+            .replace(new RegExp(`^([ \\t>]*)${p}(\\d+)${p}$`, 'gm'), (m, prefix, i) => ctx.codeBlocks[i].split('\n').map(line => (line ? prefix + line : prefix.trimEnd())).join('\n'))
+            .replace(new RegExp(`${p}(\\d+)${p}`, 'g'), (m, i) => ctx.codeBlocks[i])
+            .trim();
+    },
+
+    collapseBlankLines(text) {
+        return text.replace(/\n[ \t]*(?:\n[ \t]*)+\n/g, '\n\n');
+    },
+
+    children(node, ctx) {
+        const nodes = Array.from(node.childNodes);
+        // 行内元素（如 <strong>）首尾的空白要保留，由 wrap 移到标记外面
+        const trimEdges = node.nodeType !== Node.ELEMENT_NODE || this.isBlock(node);
+        return nodes.map((child, i) => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                let text = this.text(child);
+                // 块级元素两侧的空白没有意义
+                if ((i === 0 && trimEdges) || this.isBlock(nodes[i - 1])) text = text.replace(/^\s+/, '');
+                if ((i === nodes.length - 1 && trimEdges) || this.isBlock(nodes[i + 1])) text = text.replace(/\s+$/, '');
+                return text;
+            }
+            return child.nodeType === Node.ELEMENT_NODE ? this.element(child, ctx) : '';
+        }).join('');
+    },
+
+    // 文本节点：合并空白并转义 Markdown 字符；white-space: pre* 的元素（如用户消息）保留换行
+    text(node) {
+        const escaped = node.textContent.replace(/([\\`*_\[\]])/g, '\\$1');
+        if (this.preservesWhitespace(node.parentElement)) {
+            return escaped.replace(/[ \t]+/g, ' ').replace(/ ?\n/g, '  \n');
+        }
+        return escaped.replace(/\s+/g, ' ');
+    },
+
+    preservesWhitespace(element) {
+        if (!element || !element.isConnected) return false;
+        try {
+            return /^pre/.test(getComputedStyle(element).whiteSpace);
+        } catch {
+            return false;
+        }
+    },
+
+    isBlock(node) {
+        if (!node || node.nodeType !== Node.ELEMENT_NODE) return false;
+        // 自定义元素（如 Gemini 的 message-content、code-block）按块级处理
+        return this.BLOCK_TAGS.has(node.tagName) || node.tagName.includes('-');
+    },
+
+    element(el, ctx) {
+        const tag = el.tagName.toUpperCase();
+        if (this.SKIP_TAGS.has(tag) || el.hidden || el.getAttribute('aria-hidden') === 'true') return '';
+        if (el.classList.contains('katex')) return this.math(el);
+
+        switch (tag) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                const text = this.inline(el, ctx);
+                return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+            }
+            case 'BR':
+                return '  \n';
+            case 'HR':
+                return '\n\n---\n\n';
+            case 'STRONG': case 'B':
+                return this.wrap(this.children(el, ctx), '**');
+            case 'EM': case 'I':
+                return this.wrap(this.children(el, ctx), '*');
+            case 'DEL': case 'S':
+                return this.wrap(this.children(el, ctx), '~~');
+            case 'CODE':
+                return this.inlineCode(el.textContent);
+            case 'PRE':
+                return this.codeBlock(el, ctx);
+            case 'UL': case 'OL':
+                return this.list(el, ctx);
+            case 'BLOCKQUOTE': {
+                const text = this.collapseBlankLines(this.children(el, ctx)).trim();
+                return text ? `\n\n${text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n` : '';
+            }
+            case 'A': {
+                const text = this.children(el, ctx).trim();
+                const href = el.getAttribute('href') || '';
+                if (!text) return '';
+                if (!/^(https?:|mailto:)/i.test(href)) return text;
+                return text === href ? `<${href}>` : `[${text}](${href.replace(/[ ()]/g, c => this.percentEncode(c))})`;
+            }
+            case 'IMG': {
+                const src = el.getAttribute('src') || '';
+                if (!/^https?:/i.test(src)) return '';
+                return `![${(el.getAttribute('alt') || '').replace(/[\[\]]/g, '')}](${src.replace(/[ ()]/g, c => this.percentEncode(c))})`;
+            }
+            case 'TABLE':
+                return this.table(el, ctx);
+            default: {
+                const content = this.children(el, ctx);
+                return this.isBlock(el) ? `\n\n${content.trim()}\n\n` : content;
+            }
+        }
+    },
+
+    // encodeURIComponent 不编码括号，链接地址中的括号会提前结束 Markdown 链接
+    percentEncode(char) {
+        return `%${char.charCodeAt(0).toString(16).toUpperCase()}`;
+    },
+
+    // 单行内容（标题、表格单元格）
+    inline(el, ctx) {
+        return this.children(el, ctx).replace(/\s*\n\s*/g, ' ').trim();
+    },
+
+    wrap(text, mark) {
+        const trimmed = text.trim();
+        if (!trimmed) return text;
+        // 标记要紧贴文字，两侧空白移到外面
+        const leading = text.match(/^\s*/)[0];
+        const trailing = text.match(/\s*$/)[0];
+        return `${leading}${mark}${trimmed}${mark}${trailing}`;
+    },
+
+    // 反引号数量多于内容中最长的连续反引号
+    inlineCode(text) {
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(text) ? ' ' : '';
+        return `${fence}${pad}${text}${pad}${fence}`;
+    },
+
+    codeBlock(el, ctx) {
+        const code = el.querySelector('code') || el;
+        const text = code.textContent.replace(/\n$/, '');
+        const match = `${code.className || ''} ${el.className || ''}`.match(/(?:language|lang)-([\w+#.-]+)/);
+        const language = match ? match[1] : (el.dataset.language || '');
+        const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        ctx.codeBlocks.push(`${fence}${language}\n${text}\n${fence}`);
+        return `\n\n${this.PLACEHOLDER}${ctx.codeBlocks.length - 1}${this.PLACEHOLDER}\n\n`;
+    },
+
+    list(el, ctx) {
+        const ordered = el.tagName.toUpperCase() === 'OL';
+        let number = ordered ? (parseInt(el.getAttribute('start'), 10) || 1) : 0;
+        const items = Array.from(el.children).filter(child => child.tagName.toUpperCase() === 'LI').map(li => {
+            const marker = ordered ? `${number++}. ` : '- ';
+            const indent = ' '.repeat(marker.length);
+            const lines = this.children(li, ctx).trim().split('\n');
+            return marker + lines.map((line, i) => (i === 0 || !line.trim() ? line : indent + line)).join('\n');
+        });
+        return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+    },
+
+    table(el, ctx) {
+        const rows = Array.from(el.rows).map(row => Array.from(row.cells).map(cell => this.inline(cell, ctx).replace(/\|/g, '\\|')));
+        if (rows.length === 0) return '';
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+        const [header, ...body] = rows;
+        return `\n\n${[line(header), line(Array(columns).fill('---')), ...body.map(line)].join('\n')}\n\n`;
+    },
+
+    // KaTeX：使用公式源码（annotation），块级公式使用 $$
+    math(el) {
+        const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+        if (!annotation) return '';
+        const tex = annotation.textContent.trim();
+        return el.closest('.katex-display') ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+    }
+};
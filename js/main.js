@@ -140,6 +140,10 @@ function initializeTimeline() {
     TimelineUtils.removeElementSafe(document.getElementById('chat-timeline-tooltip'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-starred-btn'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-starred-panel'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-btn'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-box'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-pin-legend'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-menu'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-star-chat-btn-native'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-star-chat-btn-fixed'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-theme-dialog-overlay'));
@@ -167,6 +171,10 @@ function handleUrlChange() {
     TimelineUtils.removeElementSafe(document.getElementById('chat-timeline-tooltip'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-starred-btn'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-starred-panel'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-btn'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-box'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-pin-legend'));
+    TimelineUtils.removeElementSafe(document.querySelector('.timeline-menu'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-star-chat-btn-native'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-star-chat-btn-fixed'));
     TimelineUtils.removeElementSafe(document.querySelector('.timeline-theme-dialog-overlay'));
@@ -181,8 +189,11 @@ function handleUrlChange() {
 }
 
 // Check if current site is supported before initializing
-if (!adapterRegistry.isSupportedSite()) {
-} else {
+function bootstrap() {
+    if (!adapterRegistry.isSupportedSite()) {
+        return;
+    }
+    
     currentAdapter = adapterRegistry.detectAdapter();
     
     // ✅ 修复：先检查DOM中是否已存在用户消息（SPA路由切换场景）
@@ -220,3 +231,19 @@ if (!adapterRegistry.isSupportedSite()) {
         try { initialObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
     }
 }
+
+// Keyboard shortcuts forwarded by the background script (see TimelineKeyboard)
+try {
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message && message.type === 'timelineCommand' && TimelineKeyboard.isCommand(message.command)) {
+            timelineManagerInstance?.runCommand(message.command);
+        }
+    });
+} catch {}
+
+// Load user-defined site adapters first (async storage), migrate stored data
+// to the current schema (needs the adapters to resolve conversation IDs), then bootstrap
+adapterRegistry.loadCustomAdapters()
+    .then(() => StorageMigrations.run(adapterRegistry))
+    .catch(() => {})
+    .then(bootstrap);
@@ -0,0 +1,132 @@
+/**
+ * Markdown Renderer - 备注的 Markdown 预览
+ *
+ * 只支持常用语法：标题、粗体、斜体、删除线、行内代码、代码块、引用、列表、链接
+ * 所有文本先转义再添加标签，链接只允许 http(s) 和 mailto，输出可以直接放入 innerHTML
+ */
+
+const MarkdownRenderer = {
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * 行内语法（输入为原始文本）
+     */
+    renderInline(text) {
+        // 行内代码和链接先取出，避免其中的内容被当作其他语法
+        const tokens = [];
+        const hold = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+        let html = this.escape(text)
+            .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g,
+                (_, label, url) => hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`));
+
+        html = html
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w_])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[Number(i)]);
+    },
+
+    /**
+     * 渲染为 HTML
+     * @param {string} markdown
+     * @returns {string}
+     */
+    render(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const out = [];
+        let paragraph = [];
+        let list = null; // { type: 'ul' | 'ol', items: [] }
+        let quote = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length === 0) return;
+            out.push(`<p>${paragraph.map(line => this.renderInline(line)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (!list) return;
+            out.push(`<${list.type}>${list.items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${list.type}>`);
+            list = null;
+        };
+        const flushQuote = () => {
+            if (quote.length === 0) return;
+            out.push(`<blockquote>${quote.map(line => this.renderInline(line)).join('<br>')}</blockquote>`);
+            quote = [];
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // 代码块
+            if (/^\s*```/.test(line)) {
+                flushAll();
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                out.push(`<pre><code>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                flushAll();
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                flushAll();
+                const level = heading[1].length;
+                out.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                continue;
+            }
+
+            const quoteLine = line.match(/^\s*>\s?(.*)$/);
+            if (quoteLine) {
+                flushParagraph();
+                flushList();
+                quote.push(quoteLine[1]);
+                continue;
+            }
+
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            if (bullet || ordered) {
+                const type = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                flushQuote();
+                if (list && list.type !== type) flushList();
+                if (!list) list = { type, items: [] };
+                list.items.push((bullet || ordered)[1]);
+                continue;
+            }
+
+            flushList();
+            flushQuote();
+            paragraph.push(line);
+        }
+        flushAll();
+        return out.join('');
+    }
+};
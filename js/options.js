@@ -0,0 +1,143 @@
+/**
+ * Options Page
+ *
+ * Display settings (see TimelineSettings): saved as soon as a value changes.
+ *
+ * Manages user-defined site adapters (see ConfigurableAdapter):
+ * - Edit the JSON config list
+ * - Validate each record
+ * - Request host access for each urlPattern at runtime
+ */
+
+const EXAMPLE_CUSTOM_SITES = [
+    {
+        name: 'Open WebUI',
+        urlPattern: 'https://chat.example.com/*',
+        userMessageSelector: '.user-message',
+        textSelector: '.message-content',
+        routePattern: '^/c/[^/]+',
+        conversationIdPattern: '^/c/([^/]+)',
+        timelinePosition: { top: '120px', right: '22px', bottom: '120px' }
+    }
+];
+
+const customSitesInput = document.getElementById('custom-sites-input');
+const customSitesStatus = document.getElementById('custom-sites-status');
+
+// 使用 data-i18n 属性填充页面文本
+function localizePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const message = chrome.i18n.getMessage(el.dataset.i18n);
+        if (message) el.textContent = message;
+    });
+}
+
+function showStatus(message, isError = false) {
+    customSitesStatus.textContent = message;
+    customSitesStatus.classList.toggle('error', isError);
+}
+
+// 根据名称生成稳定的 ID（用于注册内容脚本）
+function slugify(name, usedIds) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'site';
+    let id = base;
+    let suffix = 2;
+    while (usedIds.has(id)) {
+        id = `${base}-${suffix++}`;
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Parse and validate the textarea content
+ * @returns {Array} - Validated configs with IDs assigned
+ * @throws {Error} - Localized error message
+ */
+function parseCustomSites(text) {
+    if (!text.trim()) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error(chrome.i18n.getMessage('customSitesInvalidJson', [e.message]));
+    }
+    // 允许直接填写单个对象
+    const configs = Array.isArray(parsed) ? parsed : [parsed];
+
+    configs.forEach((config, i) => {
+        const invalidField = ConfigurableAdapter.validateConfig(config);
+        if (invalidField) {
+            throw new Error(chrome.i18n.getMessage('customSitesInvalidField', [String(i + 1), invalidField]));
+        }
+    });
+
+    const usedIds = new Set();
+    return configs.map(config => {
+        const id = (typeof config.id === 'string' && config.id && !usedIds.has(config.id))
+            ? config.id
+            : slugify(config.name, usedIds);
+        usedIds.add(id);
+        return { ...config, id };
+    });
+}
+
+// 显示设置：每个 select 的 data-setting 对应一项设置
+async function loadSettings() {
+    const settings = await TimelineSettings.load();
+    document.querySelectorAll('[data-setting]').forEach(select => {
+        select.value = settings[select.dataset.setting];
+        select.addEventListener('change', () => {
+            TimelineSettings.save({ [select.dataset.setting]: select.value });
+        });
+    });
+}
+
+async function loadCustomSites() {
+    const configs = await StorageAdapter.get(ConfigurableAdapter.STORAGE_KEY);
+    customSitesInput.value = Array.isArray(configs) && configs.length > 0
+        ? JSON.stringify(configs, null, 2)
+        : '';
+    customSitesInput.placeholder = JSON.stringify(EXAMPLE_CUSTOM_SITES, null, 2);
+}
+
+async function saveCustomSites(configs, granted) {
+    await StorageAdapter.set(ConfigurableAdapter.STORAGE_KEY, configs);
+    customSitesInput.value = configs.length > 0 ? JSON.stringify(configs, null, 2) : '';
+    if (granted) {
+        showStatus(chrome.i18n.getMessage('customSitesSaved'));
+    } else {
+        showStatus(chrome.i18n.getMessage('customSitesPermissionDenied'), true);
+    }
+}
+
+document.getElementById('custom-sites-example').addEventListener('click', () => {
+    customSitesInput.value = JSON.stringify(EXAMPLE_CUSTOM_SITES, null, 2);
+    showStatus('');
+});
+
+document.getElementById('custom-sites-save').addEventListener('click', () => {
+    let configs;
+    try {
+        configs = parseCustomSites(customSitesInput.value);
+    } catch (e) {
+        showStatus(e.message, true);
+        return;
+    }
+
+    const origins = Array.from(new Set(configs.map(config => config.urlPattern)));
+    if (origins.length === 0) {
+        saveCustomSites(configs, true);
+        return;
+    }
+
+    // 必须在用户点击的同步调用栈中请求权限
+    chrome.permissions.request({ origins })
+        .then(granted => saveCustomSites(configs, granted))
+        .catch(() => saveCustomSites(configs, false));
+});
+
+localizePage();
+loadSettings();
+loadCustomSites();
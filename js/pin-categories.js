@@ -0,0 +1,37 @@
+/**
+ * Pin Categories - 标记分类
+ *
+ * 标记记录的 category 字段保存分类 ID，没有该字段的记录（旧版本的标记）属于默认分类
+ * - 图标：时间轴上的图钉、图例和收藏面板
+ * - 颜色：图例和已标记的节点
+ * 分类名称使用本地化文本
+ */
+
+const PinCategories = {
+    DEFAULT: 'pin',
+    LIST: [
+        { id: 'pin', icon: '📌', color: '#EF4444', labelKey: 'pinTag' },
+        { id: 'todo', icon: '⏳', color: '#3B82F6', labelKey: 'pinCategoryTodo' },
+        { id: 'decision', icon: '✅', color: '#10B981', labelKey: 'pinCategoryDecision' },
+        { id: 'bug', icon: '🐞', color: '#F97316', labelKey: 'pinCategoryBug' },
+        { id: 'idea', icon: '💡', color: '#EAB308', labelKey: 'pinCategoryIdea' }
+    ],
+
+    /**
+     * 按 ID 获取分类，未知的 ID 使用默认分类
+     * @param {string} id
+     * @returns {{id: string, icon: string, color: string, labelKey: string}}
+     */
+    get(id) {
+        return this.LIST.find(category => category.id === id) || this.LIST[0];
+    },
+
+    // 标记记录所属的分类
+    of(record) {
+        return this.get(record && record.category);
+    },
+
+    label(category) {
+        return chrome.i18n.getMessage(category.labelKey);
+    }
+};
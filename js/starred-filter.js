@@ -0,0 +1,155 @@
+/**
+ * Starred Filter - 收藏面板的搜索、筛选和排序
+ *
+ * 搜索：按空格拆分关键词，每个关键词都需要匹配问题文本、备注或标签；
+ *       连续匹配得分最高，也接受从词首开始、在同一个词中按顺序出现的字符
+ *       （模糊匹配，如 "rct hk" 匹配 "React hooks"）
+ * 筛选：文件夹（含子文件夹）、标签、网站、类型（整个对话 / 单个问题 / 标记 / 备注）、时间范围
+ * 排序：有搜索词时按得分，得分相同时（以及没有搜索词时）按时间、网站、标题
+ */
+
+const StarredFilter = {
+    // 时间范围（毫秒），today 特殊处理为当天零点起
+    DATE_RANGES: {
+        today: 0,
+        week: 7 * 24 * 60 * 60 * 1000,
+        month: 30 * 24 * 60 * 60 * 1000,
+        year: 365 * 24 * 60 * 60 * 1000
+    },
+
+    SORTS: ['date', 'site', 'title'],
+
+    // 模糊匹配的最大跨度（关键词长度的倍数）
+    FUZZY_MAX_SPREAD: 2,
+
+    /**
+     * 默认筛选条件
+     */
+    createDefault() {
+        return { query: '', folder: 'all', tag: '', site: 'all', type: 'all', range: 'all', sort: 'date' };
+    },
+
+    /**
+     * 条目类型：'chat' | 'question' | 'pin' | 'note'
+     */
+    getType(item) {
+        if (item.isPin) return 'pin';
+        if (item.isNote) return 'note';
+        return item.isFullChat ? 'chat' : 'question';
+    },
+
+    normalize(text) {
+        return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * 单个关键词的匹配得分
+     * @returns {number} - 0 表示不匹配
+     */
+    scoreToken(token, text) {
+        const position = text.indexOf(token);
+        if (position !== -1) {
+            // 子串匹配：越靠前得分越高，词首额外加分
+            const atWordStart = position === 0 || text[position - 1] === ' ';
+            return 100 + (atWordStart ? 20 : 0) - Math.min(position, 50) / 5;
+        }
+        // 模糊匹配：取得分最高的词
+        return Math.max(0, ...text.split(' ').map(word => this.scoreFuzzy(token, word)));
+    },
+
+    /**
+     * 模糊匹配单个词：首字符与词首相同，其余字符按顺序出现在同一个词中，
+     * 且匹配跨度不超过关键词长度的 FUZZY_MAX_SPREAD 倍（过于分散的匹配多半无关）
+     * @returns {number} - 0 表示不匹配；相邻字符越多得分越高，始终低于子串匹配
+     */
+    scoreFuzzy(token, word) {
+        if (token.length < 2 || word[0] !== token[0]) return 0;
+        let score = 0;
+        let last = 0;
+        for (const char of token.slice(1)) {
+            const found = word.indexOf(char, last + 1);
+            if (found === -1) return 0;
+            score += found === last + 1 ? 3 : 1;
+            last = found;
+        }
+        return last + 1 <= token.length * this.FUZZY_MAX_SPREAD ? score : 0;
+    },
+
+    /**
+     * 搜索得分（所有关键词都需要匹配）
+     * @returns {number} - 0 表示不匹配
+     */
+    score(query, item) {
+        const tokens = this.normalize(query).split(' ').filter(Boolean);
+        if (tokens.length === 0) return 1;
+        const text = this.normalize(`${item.question || ''} ${item.note || ''} ${(item.tags || []).join(' ')}`);
+        let total = 0;
+        for (const token of tokens) {
+            const tokenScore = this.scoreToken(token, text);
+            if (tokenScore === 0) return 0;
+            total += tokenScore;
+        }
+        return total;
+    },
+
+    /**
+     * 时间范围的起始时间戳
+     * @returns {number} - 0 表示不限
+     */
+    getRangeStart(range, now = Date.now()) {
+        if (range === 'today') {
+            const start = new Date(now);
+            start.setHours(0, 0, 0, 0);
+            return start.getTime();
+        }
+        return this.DATE_RANGES[range] ? now - this.DATE_RANGES[range] : 0;
+    },
+
+    /**
+     * 应用筛选和排序
+     * @param {Array} items - getStarredMessages 的返回值
+     * @param {Object} filter - createDefault 的结构
+     * @param {Array} folders - 文件夹列表
+     * @returns {Array}
+     */
+    apply(items, filter, folders = []) {
+        const rangeStart = this.getRangeStart(filter.range);
+        const hasQuery = !!this.normalize(filter.query);
+        const tag = filter.tag ? filter.tag.toLowerCase() : '';
+        // 文件夹筛选包含子文件夹；记录的文件夹已被删除（如在其他设备上）时视为未归类
+        const knownFolders = new Set(folders.map(folder => folder.id));
+        const folderScope = (filter.folder !== 'all' && filter.folder !== 'unfiled')
+            ? BookmarkOrganizer.getDescendantIds(folders, filter.folder)
+            : null;
+
+        // 有搜索词时按得分排序，每个条目只计算一次
+        const scores = new Map();
+        const result = items.filter(item => {
+            const folderId = knownFolders.has(item.folderId) ? item.folderId : null;
+            if (filter.folder === 'unfiled' && folderId) return false;
+            if (folderScope && !folderScope.has(folderId)) return false;
+            if (tag && !(item.tags || []).some(t => t.toLowerCase() === tag)) return false;
+            if (filter.site !== 'all' && item.siteName !== filter.site) return false;
+            if (filter.type !== 'all' && this.getType(item) !== filter.type) return false;
+            if (rangeStart && (item.timestamp || 0) < rangeStart) return false;
+            if (hasQuery) {
+                const score = this.score(filter.query, item);
+                if (score === 0) return false;
+                scores.set(item, score);
+            }
+            return true;
+        });
+
+        const byDate = (a, b) => (b.timestamp || 0) - (a.timestamp || 0);
+        const compare = {
+            date: byDate,
+            site: (a, b) => String(a.siteName).localeCompare(String(b.siteName)) || byDate(a, b),
+            title: (a, b) => String(a.question).localeCompare(String(b.question)) || byDate(a, b)
+        }[filter.sort] || byDate;
+
+        if (hasQuery) {
+            return result.sort((a, b) => scores.get(b) - scores.get(a) || compare(a, b));
+        }
+        return result.sort(compare);
+    }
+};
@@ -0,0 +1,219 @@
+/**
+ * Storage Migrations - 存储格式版本与迁移
+ *
+ * 每个设备在 storage.local 中记录已应用的 schema 版本（chatTimelineSchemaVersion），
+ * 内容脚本启动时按顺序执行尚未应用的迁移。修改存储格式时：
+ * 1. 在 MIGRATIONS 末尾追加一项，version 递增
+ * 2. 迁移必须可以重复执行（多个标签页可能同时启动）
+ *
+ * 版本历史：
+ * - v1：收藏/标记完整保存在 storage.sync，key 使用原始 URL（{namespace}:{urlWithoutProtocol}:{index}）
+ * - v2：完整记录移到 storage.local，storage.sync 只保留精简索引
+ * - v3：key 改为 {namespace}:{site}:{conversationId}:{turnId 或 index}（见 ConversationKey）
+ * - v4：site 使用站点族（chat.openai.com 与 chatgpt.com 等合并），后备会话 ID 去掉跟踪参数
+ * - v5：跨页面跳转改用链接（见 TurnLink），删除遗留的一次性导航数据（chatTimelineNavigate:）
+ * - v6：同步索引从每条记录一项改为分块保存（chatTimelineSyncIndex:，见 StorageAdapter），不再受 512 项的限制
+ */
+
+const StorageMigrations = {
+    VERSION_KEY: 'chatTimelineSchemaVersion',
+    NAMESPACES: ['chatTimelineStar', 'chatTimelinePin', 'chatTimelineNote'],
+
+    MIGRATIONS: [
+        {
+            version: 2,
+            run: () => StorageMigrations.moveToTieredStorage()
+        },
+        {
+            version: 3,
+            run: (registry) => StorageMigrations.rekeyBookmarks(registry)
+        },
+        {
+            version: 4,
+            run: (registry) => StorageMigrations.rekeyBookmarks(registry)
+        },
+        {
+            version: 5,
+            run: () => StorageMigrations.removeNavigateData()
+        },
+        {
+            version: 6,
+            run: () => StorageMigrations.packSyncIndex()
+        }
+    ],
+
+    /**
+     * 当前代码使用的 schema 版本
+     */
+    get currentVersion() {
+        return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+    },
+
+    /**
+     * 执行尚未应用的迁移
+     * @param {SiteAdapterRegistry} registry - 用于从 URL 中提取会话 ID
+     * @returns {Promise<void>}
+     */
+    async run(registry) {
+        const applied = (await StorageAdapter.getLocal(this.VERSION_KEY)) || 1;
+        for (const migration of this.MIGRATIONS) {
+            if (migration.version <= applied) continue;
+            // 失败时抛出，版本号保持不变，下次启动重试
+            await migration.run(registry);
+            await StorageAdapter.setLocal(this.VERSION_KEY, migration.version);
+        }
+    },
+
+    /**
+     * v2：将 storage.sync 中的完整记录移到 storage.local，sync 中只保留精简索引
+     */
+    async moveToTieredStorage() {
+        if (!StorageAdapter.isChromeStorageAvailable()) return;
+        const synced = await StorageAdapter.callArea('sync', 'get', null);
+        const local = await StorageAdapter.callArea('local', 'get', null);
+        const toLocal = {};
+        const toSync = {};
+        Object.keys(synced).forEach(key => {
+            if (!StorageAdapter.isTieredKey(key)) return;
+            if (local[key] === undefined) {
+                toLocal[key] = StorageAdapter.fromSyncIndex(synced[key]);
+            }
+            const entry = StorageAdapter.toSyncIndex(synced[key]);
+            if (JSON.stringify(entry) !== JSON.stringify(synced[key])) {
+                toSync[key] = entry;
+            }
+        });
+        if (Object.keys(toLocal).length > 0) {
+            await StorageAdapter.callArea('local', 'set', toLocal);
+        }
+        if (Object.keys(toSync).length > 0) {
+            await StorageAdapter.writeSync(toSync);
+        }
+    },
+
+    /**
+     * v3：按会话重新生成收藏/标记的 key（也用于导入后规范化）
+     * 多条记录落到同一个 key 时保留时间戳较新的一条
+     * @param {SiteAdapterRegistry} registry
+     */
+    async rekeyBookmarks(registry) {
+        const changes = {};
+        const obsolete = [];
+        for (const namespace of this.NAMESPACES) {
+            const items = await StorageAdapter.getAllByPrefix(`${namespace}:`);
+            Object.keys(items).forEach(key => {
+                const record = this.normalizeRecord(namespace, key, items[key], registry);
+                if (!record) return;
+                const newKey = this.keyFor(namespace, record);
+                if (newKey !== key) {
+                    obsolete.push(key);
+                } else if (JSON.stringify(record) === JSON.stringify(items[key])) {
+                    return;
+                }
+                const existing = changes[newKey] || (newKey !== key ? items[newKey] : null);
+                if (existing && (existing.timestamp || 0) > (record.timestamp || 0)) return;
+                changes[newKey] = record;
+            });
+        }
+        if (Object.keys(changes).length > 0) {
+            await StorageAdapter.setMany(changes);
+        }
+        const toRemove = obsolete.filter(key => !changes[key]);
+        if (toRemove.length > 0) {
+            await StorageAdapter.removeMany(toRemove);
+        }
+    },
+
+    /**
+     * v5：删除遗留的一次性导航数据（跳转失败时不会被读取和删除）
+     */
+    async removeNavigateData() {
+        const keys = Object.keys(await StorageAdapter.getAllByPrefix('chatTimelineNavigate:'));
+        if (keys.length > 0) {
+            await StorageAdapter.removeMany(keys);
+        }
+    },
+
+    /**
+     * v6：用本地完整记录重建分块的同步索引，删除每条记录单独一项的旧索引
+     * 只存在于旧索引中的记录（其他设备同步过来、还没写入本地的）先保存到本地
+     */
+    async packSyncIndex() {
+        if (!StorageAdapter.isChromeStorageAvailable()) return;
+        const synced = await StorageAdapter.callArea('sync', 'get', null);
+        const local = await StorageAdapter.callArea('local', 'get', null);
+        const legacy = Object.keys(synced).filter(key => StorageAdapter.isTieredKey(key));
+        const toLocal = {};
+        legacy.forEach(key => {
+            if (local[key] === undefined) {
+                toLocal[key] = StorageAdapter.fromSyncIndex(synced[key]);
+            }
+        });
+        if (Object.keys(toLocal).length > 0) {
+            await StorageAdapter.callArea('local', 'set', toLocal);
+        }
+        const records = { ...local, ...toLocal };
+        const entries = {};
+        Object.keys(records).forEach(key => {
+            if (StorageAdapter.isTieredKey(key) && !StorageAdapter.isLocalOnlyKey(key)) {
+                entries[key] = StorageAdapter.toSyncIndex(records[key]);
+            }
+        });
+        // 新索引写入失败（如超出配额）时与普通写入一样记录同步状态，完整记录仍在本地
+        if (Object.keys(entries).length > 0) {
+            await StorageAdapter.writeSync(entries);
+        }
+        if (legacy.length > 0) {
+            await StorageAdapter.callArea('sync', 'remove', legacy);
+        }
+    },
+
+    /**
+     * 规范化记录的存储 key
+     * @param {string} namespace - 'chatTimelineStar' 或 'chatTimelinePin'
+     * @param {Object} record - normalizeRecord 的返回值
+     * @returns {string}
+     */
+    keyFor(namespace, record) {
+        return ConversationKey.prefix(namespace, record.conversationKey) + (record.turnId || record.index);
+    },
+
+    /**
+     * 补全记录字段并计算所属会话
+     * v1 的记录可能缺少 url / urlWithoutProtocol / index，从 key 中解析
+     * @returns {Object|null} - 无法识别的记录返回 null（保持原样）
+     */
+    normalizeRecord(namespace, key, record, registry) {
+        if (!record || typeof record !== 'object') return null;
+
+        let url = record.url;
+        let urlWithoutProtocol = record.urlWithoutProtocol;
+        let index = record.index;
+        if (!url || (index === undefined && !record.turnId)) {
+            // v1 key：{namespace}:{urlWithoutProtocol}:{index}（URL 中可能含有冒号）
+            const body = key.slice(namespace.length + 1);
+            const lastColon = body.lastIndexOf(':');
+            if (lastColon === -1) return null;
+            if (!url) {
+                urlWithoutProtocol = urlWithoutProtocol || body.slice(0, lastColon);
+                url = `https://${urlWithoutProtocol}`;
+            }
+            if (index === undefined && !record.turnId) {
+                index = parseInt(body.slice(lastColon + 1), 10);
+                if (isNaN(index)) return null;
+            }
+        }
+
+        const adapter = registry ? registry.detectAdapterForUrl(url) : null;
+        const conversationKey = ConversationKey.fromUrl(url, adapter);
+        if (!conversationKey) return null;
+
+        return {
+            ...record,
+            url,
+            urlWithoutProtocol: urlWithoutProtocol || url.replace(/^https?:\/\//, ''),
+            index,
+            conversationKey
+        };
+    }
+};
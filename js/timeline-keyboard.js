@@ -0,0 +1,54 @@
+/**
+ * Timeline Keyboard - 时间轴键盘操作
+ *
+ * 两种触发方式使用同一组命令（命令名与 manifest.json 的 commands 一致）：
+ * - chrome.commands：全局快捷键，可在 chrome://extensions/shortcuts 中修改，由后台脚本转发
+ * - 页面内快捷键：仅在时间轴获得焦点时生效（单键和方向键），不影响网站自身的按键和输入框
+ */
+
+const TimelineKeyboard = {
+    COMMANDS: [
+        'next-turn',
+        'previous-turn',
+        'first-turn',
+        'last-turn',
+        'next-starred',
+        'next-pinned',
+        'toggle-star',
+        'toggle-pin',
+        'open-starred-panel',
+        'find-in-conversation',
+        'export-conversation'
+    ],
+    // 时间轴获得焦点时的单键（区分大小写，G = Shift+g）
+    KEYMAP: {
+        j: 'next-turn',
+        k: 'previous-turn',
+        g: 'first-turn',
+        G: 'last-turn',
+        n: 'next-starred',
+        p: 'next-pinned',
+        s: 'toggle-star',
+        m: 'toggle-pin',
+        b: 'open-starred-panel',
+        '/': 'find-in-conversation',
+        ArrowDown: 'next-turn',
+        ArrowUp: 'previous-turn',
+        Home: 'first-turn',
+        End: 'last-turn'
+    },
+
+    isCommand(command) {
+        return this.COMMANDS.includes(command);
+    },
+
+    /**
+     * 根据按键事件获取命令（只在时间轴内的按键事件上调用）
+     * @param {KeyboardEvent} e - keydown 事件
+     * @returns {string|null}
+     */
+    getCommand(e) {
+        if (e.defaultPrevented || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return null;
+        return this.KEYMAP[e.key] || null;
+    }
+};
@@ -26,6 +26,8 @@ class TimelineManager {
         this.activeTurnId = null;
         this.ui = { timelineBar: null, tooltip: null, track: null, trackContent: null, slider: null, sliderHandle: null };
         this.isScrolling = false;
+        // 键盘跳转的目标节点（滚动动画期间作为下一次跳转的起点）
+        this.keyboardTargetId = null;
 
         this.mutationObserver = null;
         this.resizeObserver = null;
@@ -47,6 +49,9 @@ class TimelineManager {
         this.onSliderMove = null;
         this.onSliderUp = null;
         this.onStorage = null;
+        this.onKeyDown = null;
+        this.onMenuOutside = null;
+        this.onTimelineContextMenu = null;
         this.onVisualViewportResize = null;
         this.onBarEnter = null;
         this.onBarLeave = null;
@@ -65,6 +70,9 @@ class TimelineManager {
         this.resizeIdleTimer = null;
         this.resizeIdleRICId = null;
         this.zeroTurnsTimer = null;
+        this.markIndexTimer = null;
+        // 待写回的记录位置（存储 key → index），渲染后合并写入
+        this.markIndexUpdates = new Map();
 
         // Active state management
         this.lastActiveChangeTime = 0;
@@ -107,12 +115,40 @@ class TimelineManager {
         this.starred = new Set();
         this.markerMap = new Map();
         this.conversationId = this.adapter.extractConversationId(location.pathname);
-        // 临时存储加载的收藏 index（在 markers 创建前）
-        this.starredIndexes = new Set();
+        // 当前页面的收藏记录（存储 key → 记录），节点重建后据此重新定位
+        this.starRecords = new Map();
         
         // ✅ Pin（标记）功能状态
         this.pinned = new Set();
-        this.pinnedIndexes = new Set();
+        this.pinnedRecords = new Map();
+        
+        // ✅ 节点备注（存储 key → 记录，note 字段为 Markdown 文本）
+        this.noteRecords = new Map();
+        
+        // ✅ 收藏面板：所有网站的收藏/标记，以及当前的搜索和筛选条件
+        this.starredItems = [];
+        this.starredFilter = StarredFilter.createDefault();
+        this.bookmarkFolders = [];
+        // 'list' 或 'trash'（回收站）
+        this.starredView = 'list';
+        
+        // ✅ 显示设置（见 TimelineSettings）
+        this.settings = TimelineSettings.getDefaults();
+        // ✅ 节点首次出现的时间（见 TurnTimes），加载完成前为 null，不记录新时间
+        this.turnTimes = null;
+        // 加载时间后是否已经处理过页面上的节点（之前就在页面上的节点不是刚提出的问题）
+        this.turnTimesOpened = false;
+        // 最后一个提问的回答长度，用于判断回答何时生成完毕 { id, length, tracking }
+        this.lastAnswer = null;
+        // 回答长度缓存：提问元素 → { next, length }（见 measureAnswerLengths）
+        this.answerLengthCache = new WeakMap();
+        
+        // ✅ 会话内搜索：results 为匹配的节点（按时间轴顺序），current 为当前定位的结果
+        this.search = { query: '', includeAnswers: false, results: [], current: -1 };
+        // ✅ 只显示某个分类的标记（见 PinCategories），null 表示显示全部
+        this.pinFilter = null;
+        // ✅ 链接中指定的节点（见 TurnLink），节点出现后滚动到该处
+        this.linkTarget = null;
         
         // ✅ URL 到网站信息的映射字典（包含名称和颜色）
         this.siteNameMap = {
@@ -123,9 +159,15 @@ class TimelineManager {
             'chat.deepseek.com': { name: 'DeepSeek', color: '#3B82F6', logo: chrome.runtime.getURL('images/logo/deepseek.png') },
             'yiyan.baidu.com': { name: '文心一言', color: '#EF4444' },
             'tongyi.com': { name: '通义千问', color: '#F59E0B', logo: chrome.runtime.getURL('images/logo/tongyi.png') },
+            'tongyi.aliyun.com': { name: '通义千问', color: '#F59E0B', logo: chrome.runtime.getURL('images/logo/tongyi.png') },
             'kimi.com': { name: 'Kimi', color: '#8B5CF6', logo: chrome.runtime.getURL('images/logo/kimi.png') },
             'kimi.moonshot.cn': { name: 'Kimi', color: '#8B5CF6', logo: chrome.runtime.getURL('images/logo/kimi.png') },
-            'yuanbao.tencent.com': { name: '元宝', color: '#10B981' }
+            'yuanbao.tencent.com': { name: '元宝', color: '#10B981' },
+            'claude.ai': { name: 'Claude', color: '#D97757' },
+            'copilot.microsoft.com': { name: 'Copilot', color: '#0078D4' },
+            'perplexity.ai': { name: 'Perplexity', color: '#20808D' },
+            'grok.com': { name: 'Grok', color: '#000000', logo: chrome.runtime.getURL('images/logo/grok.png') },
+            'chat.mistral.ai': { name: 'Le Chat', color: '#FA520F', logo: chrome.runtime.getURL('images/logo/mistral.png') }
         };
     }
 
@@ -146,6 +188,7 @@ class TimelineManager {
         const elementsFound = await this.findCriticalElements();
         if (!elementsFound) return;
         
+        this.linkTarget = TurnLink.parse(location.hash);
         this.injectTimelineUI();
         this.setupEventListeners();
         this.setupObservers();
@@ -154,6 +197,14 @@ class TimelineManager {
         await this.loadStars();
         // ✅ 加载标记数据
         await this.loadPins();
+        // ✅ 加载节点备注
+        await this.loadNotes();
+        // ✅ 加载显示设置
+        await this.loadSettings();
+        // ✅ 加载节点时间
+        await this.loadTurnTimes();
+        // ✅ 重试之前同步失败的收藏，并更新同步警告
+        StorageAdapter.retrySync().then(() => this.updateSyncWarning()).catch(() => {});
         
         // Trigger initial rendering after a short delay to ensure DOM is stable
         // This fixes the bug where nodes don't appear until scroll
@@ -377,6 +428,12 @@ class TimelineManager {
             }
         }
         
+        // ✅ 会话内搜索（时间轴上方的按钮和搜索框）
+        this.injectSearchUI(position);
+        
+        // ✅ 标记分类图例（时间轴左下方）
+        this.injectPinLegend(position);
+        
         // ✅ 添加收藏整个聊天的按钮（插入到平台原生UI中）
         this.injectStarChatButton();
         
@@ -389,9 +446,54 @@ class TimelineManager {
                 <div class="timeline-starred-content">
                     <div class="timeline-starred-header">
                         <h3>${chrome.i18n.getMessage('starredList')}</h3>
-                        <button class="timeline-starred-close" aria-label="${chrome.i18n.getMessage('close')}">×</button>
+                        <div class="timeline-starred-header-actions">
+                            <div class="timeline-starred-export">
+                                <button class="timeline-starred-action timeline-starred-export-btn">${chrome.i18n.getMessage('exportBookmarks')}</button>
+                                <div class="timeline-starred-export-menu">
+                                    <button data-format="json">JSON</button>
+                                    <button data-format="md">Markdown</button>
+                                    <button data-format="csv">CSV</button>
+                                </div>
+                            </div>
+                            <button class="timeline-starred-action timeline-starred-import-btn" data-tooltip="${chrome.i18n.getMessage('importBookmarksTooltip')}">${chrome.i18n.getMessage('importBookmarks')}</button>
+                            <input type="file" class="timeline-starred-import-input" accept=".json,application/json" hidden>
+                            <button class="timeline-starred-action timeline-starred-trash-btn" aria-pressed="false">${chrome.i18n.getMessage('trash')}</button>
+                            <button class="timeline-starred-close" aria-label="${chrome.i18n.getMessage('close')}">×</button>
+                        </div>
+                    </div>
+                    <div class="timeline-starred-sync-warning" role="alert" hidden></div>
+                    <div class="timeline-starred-toolbar">
+                        <input type="search" class="timeline-starred-search" placeholder="${chrome.i18n.getMessage('searchStarred')}" aria-label="${chrome.i18n.getMessage('searchStarred')}">
+                        <div class="timeline-starred-filters">
+                            <select class="timeline-starred-filter" data-filter="site">
+                                <option value="all">${chrome.i18n.getMessage('filterAllSites')}</option>
+                            </select>
+                            <select class="timeline-starred-filter" data-filter="type">
+                                <option value="all">${chrome.i18n.getMessage('filterAllTypes')}</option>
+                                <option value="chat">${chrome.i18n.getMessage('filterTypeChat')}</option>
+                                <option value="question">${chrome.i18n.getMessage('filterTypeQuestion')}</option>
+                                <option value="pin">${chrome.i18n.getMessage('filterTypePin')}</option>
+                                <option value="note">${chrome.i18n.getMessage('filterTypeNote')}</option>
+                            </select>
+                            <select class="timeline-starred-filter" data-filter="range">
+                                <option value="all">${chrome.i18n.getMessage('filterAnyTime')}</option>
+                                <option value="today">${chrome.i18n.getMessage('filterToday')}</option>
+                                <option value="week">${chrome.i18n.getMessage('filterPastWeek')}</option>
+                                <option value="month">${chrome.i18n.getMessage('filterPastMonth')}</option>
+                                <option value="year">${chrome.i18n.getMessage('filterPastYear')}</option>
+                            </select>
+                            <select class="timeline-starred-filter" data-filter="sort">
+                                <option value="date">${chrome.i18n.getMessage('sortByDate')}</option>
+                                <option value="site">${chrome.i18n.getMessage('sortBySite')}</option>
+                                <option value="title">${chrome.i18n.getMessage('sortByTitle')}</option>
+                            </select>
+                        </div>
+                        <div class="timeline-starred-active-tag" hidden></div>
+                    </div>
+                    <div class="timeline-starred-body">
+                        <div class="timeline-starred-folders"></div>
+                        <div class="timeline-starred-list"></div>
                     </div>
-                    <div class="timeline-starred-list"></div>
                     <div class="timeline-starred-footer">
                         <div class="timeline-starred-footer-item">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -430,6 +532,523 @@ class TimelineManager {
         this.ui.starredPanel = starredPanel;
         this.ui.starredList = starredPanel.querySelector('.timeline-starred-list');
         this.ui.starredClose = starredPanel.querySelector('.timeline-starred-close');
+        this.ui.exportBtn = starredPanel.querySelector('.timeline-starred-export-btn');
+        this.ui.exportMenu = starredPanel.querySelector('.timeline-starred-export-menu');
+        this.ui.importBtn = starredPanel.querySelector('.timeline-starred-import-btn');
+        this.ui.importInput = starredPanel.querySelector('.timeline-starred-import-input');
+        this.ui.trashBtn = starredPanel.querySelector('.timeline-starred-trash-btn');
+        this.ui.syncWarning = starredPanel.querySelector('.timeline-starred-sync-warning');
+        this.ui.starredSearch = starredPanel.querySelector('.timeline-starred-search');
+        this.ui.starredFilters = Array.from(starredPanel.querySelectorAll('.timeline-starred-filter'));
+        this.ui.activeTag = starredPanel.querySelector('.timeline-starred-active-tag');
+        this.ui.starredFolders = starredPanel.querySelector('.timeline-starred-folders');
+    }
+    
+    /**
+     * ✅ 会话内搜索：按钮在时间轴上方 10px 处，搜索框显示在按钮左侧
+     * 网页的 Ctrl+F 搜不到虚拟列表中未渲染的消息，也无法对应到时间轴节点
+     */
+    injectSearchUI(position) {
+        TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-btn'));
+        TimelineUtils.removeElementSafe(document.querySelector('.timeline-search-box'));
+        
+        const searchBtn = document.createElement('button');
+        searchBtn.className = 'timeline-search-btn';
+        searchBtn.setAttribute('aria-label', chrome.i18n.getMessage('findInConversation'));
+        searchBtn.setAttribute('data-tooltip', chrome.i18n.getMessage('findInConversation'));
+        searchBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="7"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>';
+        
+        const searchBox = document.createElement('div');
+        searchBox.className = 'timeline-search-box';
+        searchBox.hidden = true;
+        searchBox.innerHTML = `
+            <input type="search" class="timeline-search-input" placeholder="${this.escapeHTML(chrome.i18n.getMessage('findInConversation'))}" aria-label="${this.escapeHTML(chrome.i18n.getMessage('findInConversation'))}">
+            <span class="timeline-search-count" aria-live="polite"></span>
+            <button class="timeline-search-prev" aria-label="${this.escapeHTML(chrome.i18n.getMessage('previousMatch'))}">↑</button>
+            <button class="timeline-search-next" aria-label="${this.escapeHTML(chrome.i18n.getMessage('nextMatch'))}">↓</button>
+            <label class="timeline-search-answers">
+                <input type="checkbox">
+                ${this.escapeHTML(chrome.i18n.getMessage('searchAnswers'))}
+            </label>
+            <button class="timeline-search-close" aria-label="${this.escapeHTML(chrome.i18n.getMessage('close'))}">×</button>
+        `;
+        
+        // 与收藏按钮对称：右侧与时间轴中心对齐
+        if (position) {
+            if (position.top) {
+                searchBtn.style.top = `calc(${position.top} - 38px)`;
+                searchBox.style.top = `calc(${position.top} - 42px)`;
+            }
+            if (position.right) {
+                const timelineBarRight = parseInt(position.right, 10) || 20;
+                searchBtn.style.right = `${timelineBarRight + 1}px`;
+                searchBox.style.right = `${timelineBarRight + 36}px`;
+            }
+        }
+        
+        document.body.appendChild(searchBtn);
+        document.body.appendChild(searchBox);
+        this.ui.searchBtn = searchBtn;
+        this.ui.searchBox = searchBox;
+        this.ui.searchInput = searchBox.querySelector('.timeline-search-input');
+        this.ui.searchCount = searchBox.querySelector('.timeline-search-count');
+        
+        this.bindCustomTooltip(searchBtn);
+        searchBtn.addEventListener('click', () => {
+            if (searchBox.hidden) {
+                this.openSearch();
+            } else {
+                this.closeSearch();
+            }
+        });
+        this.ui.searchInput.addEventListener('input', () => {
+            this.search.query = this.ui.searchInput.value;
+            this.search.current = -1;
+            this.applySearch();
+        });
+        // Enter 下一个，Shift+Enter 上一个，Esc 关闭
+        this.ui.searchInput.addEventListener('keydown', (e) => {
+            if (e.isComposing) return;
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSearch();
+            }
+        });
+        searchBox.querySelector('.timeline-search-prev').addEventListener('click', () => this.stepSearch(-1));
+        searchBox.querySelector('.timeline-search-next').addEventListener('click', () => this.stepSearch(1));
+        searchBox.querySelector('.timeline-search-answers input').addEventListener('change', (e) => {
+            this.search.includeAnswers = e.target.checked;
+            this.search.current = -1;
+            this.applySearch();
+        });
+        searchBox.querySelector('.timeline-search-close').addEventListener('click', () => this.closeSearch());
+    }
+    
+    /**
+     * ✅ 标记分类图例：列出当前会话中用到的分类和数量，点击只显示该分类的标记，再次点击恢复
+     * 图例底部与时间轴底部对齐，没有标记时隐藏
+     */
+    injectPinLegend(position) {
+        TimelineUtils.removeElementSafe(document.querySelector('.timeline-pin-legend'));
+        
+        const legend = document.createElement('div');
+        legend.className = 'timeline-pin-legend';
+        legend.setAttribute('role', 'toolbar');
+        legend.setAttribute('aria-label', chrome.i18n.getMessage('pinLegend'));
+        legend.hidden = true;
+        if (position) {
+            if (position.bottom) {
+                legend.style.bottom = position.bottom;
+            }
+            if (position.right) {
+                const timelineBarRight = parseInt(position.right, 10) || 20;
+                legend.style.right = `${timelineBarRight + 34}px`;
+            }
+        }
+        legend.addEventListener('click', (e) => {
+            const chip = e.target.closest('.timeline-pin-legend-item');
+            if (!chip) return;
+            this.setPinFilter(this.pinFilter === chip.dataset.category ? null : chip.dataset.category);
+        });
+        
+        document.body.appendChild(legend);
+        this.ui.pinLegend = legend;
+    }
+    
+    renderPinLegend() {
+        const legend = this.ui.pinLegend;
+        if (!legend) return;
+        const counts = new Map();
+        this.markers.forEach(marker => {
+            if (marker.pinned) counts.set(marker.pinCategory, (counts.get(marker.pinCategory) || 0) + 1);
+        });
+        // 筛选的分类已没有标记时取消筛选
+        if (this.pinFilter && !counts.has(this.pinFilter)) {
+            this.setPinFilter(null);
+            return;
+        }
+        legend.hidden = counts.size === 0;
+        legend.innerHTML = PinCategories.LIST.filter(category => counts.has(category.id)).map(category => {
+            const label = PinCategories.label(category);
+            return `
+                <button class="timeline-pin-legend-item${this.pinFilter === category.id ? ' active' : ''}" data-category="${category.id}" style="--pin-color: ${category.color}" aria-pressed="${this.pinFilter === category.id}" data-tooltip="${this.escapeHTML(label)}" aria-label="${this.escapeHTML(label)}">
+                    <span class="timeline-pin-legend-icon">${category.icon}</span>
+                    <span class="timeline-pin-legend-count">${counts.get(category.id)}</span>
+                </button>
+            `;
+        }).join('');
+        legend.querySelectorAll('.timeline-pin-legend-item').forEach(chip => this.bindCustomTooltip(chip));
+    }
+    
+    /**
+     * ✅ 只显示某个分类的标记（其他节点变淡，“下一个标记”也只在该分类中跳转）
+     * @param {string|null} category - 分类 ID，null 表示显示全部
+     */
+    setPinFilter(category) {
+        this.pinFilter = category;
+        this.ui.timelineBar?.classList.toggle('pin-filtering', !!category);
+        this.ui.pinLegend?.classList.toggle('filtering', !!category);
+        this.markers.forEach(marker => this.updatePinIcon(marker));
+        this.renderPinMarkers();
+    }
+    
+    /**
+     * ✅ 标记分类菜单（长按节点时显示在节点左侧）：选择分类即标记或更换分类，已标记时可取消标记
+     * @param {string} id - 节点 ID
+     * @param {Element} anchor - 菜单对齐的元素
+     */
+    showPinMenu(id, anchor) {
+        const marker = this.markerMap.get(id);
+        if (!marker) return;
+        const items = PinCategories.LIST.map(category => ({
+            icon: category.icon,
+            color: category.color,
+            label: PinCategories.label(category),
+            checked: marker.pinned && marker.pinCategory === category.id,
+            action: () => this.setPinCategory(id, category.id)
+        }));
+        if (marker.pinned) {
+            items.push({ separator: true });
+            items.push({ label: chrome.i18n.getMessage('unpin'), danger: true, action: () => this.togglePin(id) });
+        }
+        this.showMenu(items, { anchor });
+    }
+    
+    /**
+     * ✅ 节点右键菜单：收藏、标记、备注、复制和导出
+     * @param {string} id - 节点 ID
+     * @param {Object} at - { x, y } 鼠标位置，或 { anchor } 对齐的元素（键盘打开时）
+     */
+    showDotContextMenu(id, at) {
+        const marker = this.markerMap.get(id);
+        if (!marker) return;
+        const dot = marker.dotElement;
+        const question = this.markerMap.get(marker.questionId) || marker;
+        const answerText = this.getAnswerText(question.index);
+        const category = marker.pinned ? PinCategories.get(marker.pinCategory) : null;
+        
+        this.showMenu([
+            {
+                icon: '⭐',
+                label: chrome.i18n.getMessage(marker.starred ? 'unstar' : 'menuStar'),
+                action: () => this.toggleStar(id)
+            },
+            {
+                icon: category ? category.icon : '📌',
+                label: chrome.i18n.getMessage('menuPin'),
+                // 分类菜单显示在节点左侧
+                action: () => this.showPinMenu(id, dot)
+            },
+            {
+                icon: '📝',
+                label: chrome.i18n.getMessage(marker.note ? 'editNote' : 'addNote'),
+                action: () => this.editNote(id)
+            },
+            { separator: true },
+            {
+                label: chrome.i18n.getMessage('menuCopyQuestion'),
+                action: () => this.copyToClipboard(question.summary || '', dot)
+            },
+            {
+                label: chrome.i18n.getMessage('menuCopyAnswer'),
+                disabled: !answerText,
+                action: () => this.copyToClipboard(answerText, dot)
+            },
+            {
+                label: chrome.i18n.getMessage('menuCopyLink'),
+                action: () => this.copyToClipboard(this.getTurnLink(question), dot)
+            },
+            { separator: true },
+            {
+                label: chrome.i18n.getMessage('menuExportConversation'),
+                action: () => this.exportConversation()
+            },
+            {
+                label: chrome.i18n.getMessage('menuExportFromHere'),
+                action: () => this.exportConversation(question.index)
+            }
+        ], at);
+    }
+    
+    /**
+     * ✅ 显示菜单（同一时间只有一个菜单）
+     * 支持方向键选择、Esc 关闭；点击菜单外部关闭
+     * @param {Array<Object>} items - { label, icon, color, checked, disabled, danger, action } 或 { separator: true }
+     * @param {Object} at - { x, y } 显示在该位置；{ anchor } 显示在元素左侧
+     */
+    showMenu(items, at) {
+        this.hideMenu();
+        this.hideTooltip(true);
+        
+        const menu = document.createElement('div');
+        menu.className = 'timeline-menu';
+        menu.setAttribute('role', 'menu');
+        const actions = [];
+        menu.innerHTML = items.map(item => {
+            if (item.separator) return '<div class="timeline-menu-separator" role="separator"></div>';
+            actions.push(item.action);
+            const classes = ['timeline-menu-item', item.checked ? 'active' : '', item.danger ? 'danger' : ''].filter(Boolean).join(' ');
+            const role = item.checked !== undefined ? `role="menuitemradio" aria-checked="${!!item.checked}"` : 'role="menuitem"';
+            return `
+                <button class="${classes}" ${role} data-action="${actions.length - 1}"${item.color ? ` style="--menu-color: ${item.color}"` : ''}${item.disabled ? ' disabled' : ''}>
+                    <span class="timeline-menu-icon">${item.icon || ''}</span>
+                    <span>${this.escapeHTML(item.label)}</span>
+                </button>
+            `;
+        }).join('');
+        
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('.timeline-menu-item');
+            if (!item || item.disabled) return;
+            e.stopPropagation();
+            this.hideMenu();
+            actions[Number(item.dataset.action)]?.();
+        });
+        menu.addEventListener('keydown', (e) => {
+            const buttons = Array.from(menu.querySelectorAll('.timeline-menu-item:not(:disabled)'));
+            const index = buttons.indexOf(document.activeElement);
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hideMenu();
+                at.anchor?.focus?.();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                buttons[(index + step + buttons.length) % buttons.length]?.focus();
+            }
+        });
+        
+        document.body.appendChild(menu);
+        // 超出窗口时向内移动
+        const menuRect = menu.getBoundingClientRect();
+        let left = at.x;
+        let top = at.y;
+        if (at.anchor) {
+            const rect = at.anchor.getBoundingClientRect();
+            left = rect.left - menuRect.width - 12;
+            top = rect.top + rect.height / 2 - menuRect.height / 2;
+        }
+        menu.style.left = `${Math.round(Math.max(8, Math.min(left, window.innerWidth - menuRect.width - 8)))}px`;
+        menu.style.top = `${Math.round(Math.max(8, Math.min(top, window.innerHeight - menuRect.height - 8)))}px`;
+        (menu.querySelector('.timeline-menu-item.active') || menu.querySelector('.timeline-menu-item:not(:disabled)'))?.focus();
+        
+        // 点击菜单外部关闭（延迟绑定，避免打开菜单的那次点击立即关闭菜单）
+        this.onMenuOutside = (e) => {
+            if (!menu.contains(e.target)) this.hideMenu();
+        };
+        setTimeout(() => {
+            if (this.ui.menu === menu) document.addEventListener('pointerdown', this.onMenuOutside, true);
+        }, 0);
+        this.ui.menu = menu;
+    }
+    
+    hideMenu() {
+        TimelineUtils.removeEventListenerSafe(document, 'pointerdown', this.onMenuOutside, true);
+        this.onMenuOutside = null;
+        TimelineUtils.removeElementSafe(this.ui.menu);
+        this.ui.menu = null;
+    }
+    
+    /**
+     * ✅ 提问的回答文本：优先使用回答节点，网站不支持回答节点时取该提问与下一个提问之间的文本
+     * @param {number} index - 提问序号
+     * @returns {string}
+     */
+    getAnswerText(index) {
+        const answer = this.markers.find(m => m.kind === 'answer' && m.index === index);
+        if (answer) {
+            try { return this.adapter.extractAssistantText(answer.element) || ''; } catch {}
+        }
+        const range = this.getAnswerRange(index);
+        return range ? range.toString().replace(/\s+/g, ' ').trim() : '';
+    }
+    
+    /**
+     * ✅ 提问的回答转换为 Markdown（保留代码块、列表和表格，见 DomMarkdown）
+     * @param {number} index - 提问序号
+     * @returns {string}
+     */
+    getAnswerMarkdown(index) {
+        const answer = this.markers.find(m => m.kind === 'answer' && m.index === index);
+        if (answer) {
+            try { return this.adapter.extractAssistantMarkdown(answer.element) || ''; } catch {}
+        }
+        const range = this.getAnswerRange(index);
+        if (!range) return '';
+        try {
+            return DomMarkdown.convert(range.cloneContents());
+        } catch {
+            return '';
+        }
+    }
+    
+    /**
+     * ✅ 提问与下一个提问（或会话末尾）之间的范围
+     * @returns {Range|null}
+     */
+    getAnswerRange(index) {
+        const questions = this.markers.filter(m => m.kind === 'question');
+        const question = questions.find(m => m.index === index);
+        if (!question) return null;
+        try {
+            const range = document.createRange();
+            range.setStartAfter(question.element);
+            const next = questions.find(m => m.index === index + 1);
+            if (next) {
+                range.setEndBefore(next.element);
+            } else {
+                range.setEnd(this.conversationContainer, this.conversationContainer.childNodes.length);
+            }
+            return range;
+        } catch {
+            return null;
+        }
+    }
+    
+    /**
+     * ✅ 指向某个节点的链接（见 TurnLink）
+     */
+    getTurnLink(marker) {
+        return TurnLink.build(location.href, marker.id, marker.index);
+    }
+    
+    /**
+     * ✅ 滚动到节点并闪烁提示（打开链接、从收藏列表跳转时）
+     */
+    revealMarker(marker) {
+        if (!marker || !marker.element) return;
+        this.smoothScrollTo(marker.element);
+        const targets = [marker.element, marker.dotElement].filter(Boolean);
+        targets.forEach(el => {
+            el.classList.remove('timeline-turn-flash');
+            void el.offsetWidth; // 重新开始动画
+            el.classList.add('timeline-turn-flash');
+        });
+        setTimeout(() => {
+            targets.forEach(el => el.classList.remove('timeline-turn-flash'));
+        }, TIMELINE_CONFIG.TURN_FLASH_DURATION);
+    }
+    
+    /**
+     * ✅ 导出会话为 Markdown（见 ConversationExport）
+     * 提问和回答保留原有格式，目录和标题中带有收藏、标记图标
+     * @param {number} fromIndex - 从第几个提问开始（0 表示整个会话）
+     */
+    exportConversation(fromIndex = 0) {
+        try {
+            const turns = this.markers
+                .filter(m => m.kind === 'question' && m.index >= fromIndex)
+                .map(m => {
+                    // 提问和回答节点的收藏、标记和备注都归到这一节
+                    const nodes = this.markers.filter(node => node.questionId === m.id);
+                    let question = '';
+                    try { question = this.adapter.extractUserMarkdown(m.element); } catch {}
+                    return {
+                        number: m.index + 1,
+                        title: m.summary || '',
+                        question: question || m.summary || '',
+                        answer: this.getAnswerMarkdown(m.index),
+                        starred: nodes.some(node => node.starred),
+                        pinCategories: [...new Set(nodes.filter(node => node.pinned).map(node => node.pinCategory))].map(id => PinCategories.get(id)),
+                        notes: nodes.map(node => node.note).filter(Boolean),
+                        times: this.turnTimes?.[m.id] || null
+                    };
+                });
+            if (turns.length === 0) return;
+            const title = document.title || this.getSiteNameFromUrl(location.href);
+            const markdown = ConversationExport.toMarkdown(turns, { title, url: location.href });
+            BookmarkTransfer.download(ConversationExport.filename(title, fromIndex), markdown, 'text/markdown');
+        } catch (e) {
+            console.error('Failed to export conversation:', e);
+        }
+    }
+    
+    openSearch() {
+        if (!this.ui.searchBox) return;
+        this.ui.searchBox.hidden = false;
+        this.ui.searchBtn?.classList.add('active');
+        this.ui.searchInput.focus();
+        this.ui.searchInput.select();
+        this.applySearch();
+    }
+    
+    closeSearch() {
+        if (!this.ui.searchBox) return;
+        this.ui.searchBox.hidden = true;
+        this.ui.searchBtn?.classList.remove('active');
+        // 关闭后恢复所有节点的显示，保留输入内容以便再次打开
+        this.search.current = -1;
+        this.applySearch(true);
+    }
+    
+    /**
+     * ✅ 按搜索条件标记匹配的节点（所有关键词都出现才算匹配，忽略大小写和全半角）
+     * @param {boolean} clear - 只清除高亮
+     */
+    applySearch(clear = false) {
+        const tokens = clear ? [] : TurnIdentity.normalize(this.search.query).split(' ').filter(Boolean);
+        const previous = this.search.results[this.search.current] || null;
+        
+        this.markers.forEach(marker => {
+            marker.searchMatch = tokens.length > 0
+                && (marker.kind === 'question' || this.search.includeAnswers)
+                && tokens.every(token => this.getSearchText(marker).includes(token));
+        });
+        this.search.results = this.markers.filter(marker => marker.searchMatch);
+        // 节点重建后保留当前结果（按节点 ID）
+        this.search.current = previous
+            ? this.search.results.findIndex(marker => marker.id === previous.id)
+            : -1;
+        
+        this.ui.timelineBar?.classList.toggle('searching', tokens.length > 0);
+        this.updateSearchUI();
+    }
+    
+    // 节点的搜索文本：提问使用完整文本；回答读取完整内容（节点中只保存了开头部分）
+    getSearchText(marker) {
+        if (marker.searchText === undefined) {
+            let text = marker.summary || '';
+            if (marker.kind === 'answer') {
+                try { text = this.adapter.extractAssistantText(marker.element) || text; } catch {}
+            }
+            marker.searchText = TurnIdentity.normalize(text);
+        }
+        return marker.searchText;
+    }
+    
+    /**
+     * ✅ 跳转到下一个/上一个搜索结果（首次跳转从当前位置开始查找）
+     * @param {number} direction - 1 或 -1
+     */
+    stepSearch(direction) {
+        const { results } = this.search;
+        if (results.length === 0) return;
+        if (this.search.current === -1) {
+            const marker = this.findMarkerFrom(direction, m => m.searchMatch, true);
+            this.search.current = Math.max(0, results.indexOf(marker));
+        } else {
+            this.search.current = (this.search.current + direction + results.length) % results.length;
+        }
+        this.navigateToMarker(results[this.search.current]);
+        this.updateSearchUI();
+    }
+    
+    updateSearchUI() {
+        const current = this.search.results[this.search.current] || null;
+        this.markers.forEach(marker => {
+            if (!marker.dotElement) return;
+            marker.dotElement.classList.toggle('search-match', !!marker.searchMatch);
+            marker.dotElement.classList.toggle('search-current', marker === current);
+        });
+        if (this.ui.searchCount) {
+            const total = this.search.results.length;
+            this.ui.searchCount.textContent = this.search.query.trim()
+                ? `${total > 0 ? this.search.current + 1 : 0}/${total}`
+                : '';
+        }
     }
     
     /**
@@ -535,8 +1154,7 @@ class TimelineManager {
             const success = await this.toggleChatStar();
             if (success) {
                 const nowStarred = await this.isChatStarred();
-                starChatBtn.querySelector('svg').setAttribute('fill', nowStarred ? 'rgb(255, 125, 3)' : 'none');
-                starChatBtn.querySelector('svg').setAttribute('stroke', nowStarred ? 'rgb(255, 125, 3)' : 'currentColor');
+                this.updateStarChatButtonState(nowStarred);
                 
                 // 更新可能存在的 tooltip 文本
                 const existingTooltip = starChatBtn.querySelector('.timeline-tooltip-base.visible');
@@ -563,10 +1181,28 @@ class TimelineManager {
         this.ui.starChatBtn = starChatBtn;
     }
     
+    /**
+     * ✅ 更新收藏聊天按钮的图标（取消收藏、撤销、其他标签页修改后调用）
+     */
+    updateStarChatButtonState(isStarred) {
+        const svg = this.ui.starChatBtn && this.ui.starChatBtn.querySelector('svg');
+        if (!svg) return;
+        svg.setAttribute('fill', isStarred ? 'rgb(255, 125, 3)' : 'none');
+        svg.setAttribute('stroke', isStarred ? 'rgb(255, 125, 3)' : 'currentColor');
+    }
+    
     /**
      * ✅ 显示编辑对话框
+     * @param {string} currentText - 初始内容
+     * @param {Object} options - 可选：title、placeholder、maxLength、allowEmpty（允许提交空内容）
      */
-    async showEditDialog(currentText) {
+    async showEditDialog(currentText, options = {}) {
+        const {
+            title = chrome.i18n.getMessage('editStarredContent'),
+            placeholder = chrome.i18n.getMessage('themePlaceholder'),
+            maxLength = 100,
+            allowEmpty = false
+        } = options;
         return new Promise((resolve) => {
             // 创建遮罩层
             const overlay = document.createElement('div');
@@ -578,10 +1214,10 @@ class TimelineManager {
             
             dialog.innerHTML = `
                 <div class="timeline-theme-dialog-header">
-                    <h3>${chrome.i18n.getMessage('editStarredContent')}</h3>
+                    <h3>${this.escapeHTML(title)}</h3>
                 </div>
                 <div class="timeline-theme-dialog-body">
-                    <input type="text" id="timeline-edit-input" class="timeline-theme-input" placeholder="${chrome.i18n.getMessage('themePlaceholder')}" value="${this.escapeHTML(currentText)}" maxlength="100" />
+                    <input type="text" id="timeline-edit-input" class="timeline-theme-input" placeholder="${this.escapeHTML(placeholder)}" value="${this.escapeHTML(currentText)}" maxlength="${maxLength}" />
                 </div>
                 <div class="timeline-theme-dialog-footer">
                     <button class="timeline-theme-dialog-cancel">${chrome.i18n.getMessage('cancel')}</button>
@@ -623,7 +1259,7 @@ class TimelineManager {
             // 确定按钮
             confirmBtn.addEventListener('click', () => {
                 const text = input.value.trim();
-                if (!text) {
+                if (!text && !allowEmpty) {
                     // 输入为空，显示错误 toast
                     this.showErrorToast(chrome.i18n.getMessage('contentRequired'), input);
                     return;
@@ -646,7 +1282,7 @@ class TimelineManager {
                     document.removeEventListener('keydown', handleKeyDown);
                 } else if (e.key === 'Enter' && document.activeElement === input) {
                     const text = input.value.trim();
-                    if (!text) {
+                    if (!text && !allowEmpty) {
                         // 输入为空，显示错误 toast
                         this.showErrorToast(chrome.i18n.getMessage('contentRequired'), input);
                         return;
@@ -668,13 +1304,104 @@ class TimelineManager {
         });
     }
     
+    /**
+     * ✅ 显示备注编辑器（多行 Markdown，可切换预览）
+     * @param {string} currentText - 当前备注
+     * @param {string} subtitle - 节点文本（显示在标题下方）
+     * @returns {Promise<string|null>} 新的备注（空字符串表示删除），取消时为 null
+     */
+    async showNoteEditor(currentText, subtitle = '') {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'timeline-theme-dialog-overlay';
+            
+            const dialog = document.createElement('div');
+            dialog.className = 'timeline-theme-dialog timeline-note-dialog';
+            dialog.innerHTML = `
+                <div class="timeline-theme-dialog-header">
+                    <h3>${chrome.i18n.getMessage('editNote')}</h3>
+                    ${subtitle ? `<div class="timeline-note-dialog-subtitle">${this.escapeHTML(subtitle)}</div>` : ''}
+                </div>
+                <div class="timeline-theme-dialog-body">
+                    <div class="timeline-note-tabs">
+                        <button class="timeline-note-tab active" data-tab="write">${chrome.i18n.getMessage('noteWrite')}</button>
+                        <button class="timeline-note-tab" data-tab="preview">${chrome.i18n.getMessage('notePreview')}</button>
+                    </div>
+                    <textarea class="timeline-note-input" maxlength="${TIMELINE_CONFIG.NOTE_MAX_LENGTH}" placeholder="${this.escapeHTML(chrome.i18n.getMessage('notePlaceholder'))}">${this.escapeHTML(currentText)}</textarea>
+                    <div class="timeline-note-preview timeline-markdown" hidden></div>
+                    <div class="timeline-note-hint">${chrome.i18n.getMessage('noteHint')}</div>
+                </div>
+                <div class="timeline-theme-dialog-footer">
+                    <button class="timeline-theme-dialog-cancel">${chrome.i18n.getMessage('cancel')}</button>
+                    <button class="timeline-theme-dialog-confirm">${chrome.i18n.getMessage('confirm')}</button>
+                </div>
+            `;
+            
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+            
+            const textarea = dialog.querySelector('.timeline-note-input');
+            const preview = dialog.querySelector('.timeline-note-preview');
+            const tabs = dialog.querySelectorAll('.timeline-note-tab');
+            
+            requestAnimationFrame(() => {
+                overlay.classList.add('visible');
+                textarea.focus();
+                textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+            });
+            
+            // 写作 / 预览切换
+            tabs.forEach(tab => {
+                tab.addEventListener('click', () => {
+                    const isPreview = tab.dataset.tab === 'preview';
+                    tabs.forEach(t => t.classList.toggle('active', t === tab));
+                    if (isPreview) {
+                        preview.innerHTML = MarkdownRenderer.render(textarea.value)
+                            || `<p class="timeline-note-empty">${this.escapeHTML(chrome.i18n.getMessage('noteEmpty'))}</p>`;
+                    }
+                    preview.hidden = !isPreview;
+                    textarea.hidden = isPreview;
+                    if (!isPreview) textarea.focus();
+                });
+            });
+            
+            const finish = (value) => {
+                document.removeEventListener('keydown', handleKeyDown, true);
+                overlay.classList.remove('visible');
+                setTimeout(() => {
+                    if (overlay.parentNode) {
+                        overlay.parentNode.removeChild(overlay);
+                    }
+                }, 200);
+                resolve(value);
+            };
+            
+            // ESC 取消，Ctrl/Cmd + Enter 保存（Enter 用于换行）
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    finish(null);
+                } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    finish(textarea.value.trim());
+                }
+            };
+            document.addEventListener('keydown', handleKeyDown, true);
+            
+            dialog.querySelector('.timeline-theme-dialog-confirm').addEventListener('click', () => finish(textarea.value.trim()));
+            dialog.querySelector('.timeline-theme-dialog-cancel').addEventListener('click', () => finish(null));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) finish(null);
+            });
+        });
+    }
+    
     /**
      * ✅ 检查当前聊天是否已被收藏
      */
     async isChatStarred() {
         try {
-            const urlWithoutProtocol = location.href.replace(/^https?:\/\//, '');
-            const key = `chatTimelineStar:${urlWithoutProtocol}:-1`;
+            const key = `${this.getMarkKeyPrefix('chatTimelineStar')}-1`;
             const value = await StorageAdapter.get(key);
             return !!value;
         } catch (e) {
@@ -688,12 +1415,13 @@ class TimelineManager {
     async toggleChatStar() {
         try {
             const urlWithoutProtocol = location.href.replace(/^https?:\/\//, '');
-            const key = `chatTimelineStar:${urlWithoutProtocol}:-1`;
+            const key = `${this.getMarkKeyPrefix('chatTimelineStar')}-1`;
             const existingValue = await StorageAdapter.get(key);
             
             if (existingValue) {
-                // 已收藏，取消收藏
-                await StorageAdapter.remove(key);
+                // 已收藏，取消收藏（移入回收站，可撤销）
+                const trashIds = await BookmarkTrash.trash([key]);
+                this.showUndoToast(chrome.i18n.getMessage('unstarredToast'), trashIds);
                 return true;
             } else {
                 // 未收藏，显示输入主题弹窗
@@ -707,6 +1435,7 @@ class TimelineManager {
                 const value = {
                     url: location.href,
                     urlWithoutProtocol: urlWithoutProtocol,
+                    conversationKey: this.getConversationKey(),
                     index: -1,
                     question: theme,
                     timestamp: Date.now()
@@ -893,13 +1622,64 @@ class TimelineManager {
             return rectA.top - rectB.top;
         });
         
+        // ✅ 节点 ID 基于文本内容生成（指纹 + 序号），编辑或切换分支后其他节点 ID 不变
+        const turnElements = Array.from(userTurnElements);
+        const summaries = turnElements.map(el => this.adapter.extractText(el));
+        const branches = turnElements.map(el => {
+            try { return this.adapter.getBranchInfo(el); } catch { return null; }
+        });
+        const identities = TurnIdentity.build(summaries, branches);
+        
+        // ✅ 记录节点首次出现的时间和回答完成时间
+        if (this.turnTimes && identities.length > 0) {
+            this.updateTurnTimes(identities, turnElements);
+        }
+        
+        // ✅ 按回答长度编码圆点时，测量每个提问之后的回答长度（对数比例，0~1）
+        let weights = [];
+        if (this.settings.dotEncoding !== 'off') {
+            const lengths = this.measureAnswerLengths(turnElements);
+            const maxLog = Math.log1p(Math.max(1, ...lengths));
+            weights = lengths.map(length => Math.log1p(length) / maxLog);
+        }
+        
+        // ✅ 组装节点列表：每个提问之后紧跟它的 AI 回答（如果网站支持）
+        const answers = this.findAnswerElements(turnElements);
+        const entries = [];
+        turnElements.forEach((el, index) => {
+            entries.push({
+                kind: 'question',
+                element: el,
+                identity: identities[index],
+                questionId: identities[index].id,
+                summary: summaries[index],
+                branch: branches[index],
+                weight: weights[index],
+                index
+            });
+            const answerEl = answers.get(el);
+            if (answerEl) {
+                let summary = '';
+                try { summary = this.adapter.extractAssistantText(answerEl); } catch {}
+                entries.push({
+                    kind: 'answer',
+                    element: answerEl,
+                    identity: TurnIdentity.answerOf(identities[index]),
+                    questionId: identities[index].id,
+                    summary: summary.slice(0, TIMELINE_CONFIG.ANSWER_PREVIEW_LENGTH),
+                    branch: null,
+                    index
+                });
+            }
+        });
+        
         // 计算内容跨度
-        const firstRect = userTurnElements[0].getBoundingClientRect();
-        const lastRect = userTurnElements[userTurnElements.length - 1].getBoundingClientRect();
+        const firstRect = entries[0].element.getBoundingClientRect();
+        const lastRect = entries[entries.length - 1].element.getBoundingClientRect();
         const firstTurnOffset = 0; // 使用第一个元素作为基准
         let contentSpan = lastRect.top - firstRect.top;
         
-        if (userTurnElements.length < 2 || contentSpan <= 0) {
+        if (entries.length < 2 || contentSpan <= 0) {
             contentSpan = 1;
         }
 
@@ -909,46 +1689,39 @@ class TimelineManager {
 
         // Build markers with normalized position along conversation
         this.markerMap.clear();
-        this.markers = Array.from(userTurnElements).map((el, index) => {
-            // 统一使用 getBoundingClientRect 计算相对位置
-            const elRect = el.getBoundingClientRect();
-            const offsetFromStart = elRect.top - firstRect.top;
-            
-            let n = offsetFromStart / contentSpan;
-            n = Math.max(0, Math.min(1, n));
-            const id = this.adapter.generateTurnId(el, index);
+        const positions = this.computeMarkerPositions(entries, firstRect, contentSpan);
+        this.markers = entries.map((entry, i) => {
+            const n = Math.max(0, Math.min(1, positions[i]));
             
             const m = {
-                id: id,
-                element: el,
-                summary: this.adapter.extractText(el),
+                id: entry.identity.id,
+                fingerprint: entry.identity.fingerprint,
+                branchPath: entry.identity.branchPath,
+                branch: entry.branch,  // ✅ 分支信息 { current, total }，无分支时为 null
+                kind: entry.kind,      // ✅ 'question' 或 'answer'
+                index: entry.index,    // 所属提问的序号（回答与其提问相同）
+                questionId: entry.questionId,  // 所属提问的节点 ID（节点时间按提问记录）
+                element: entry.element,
+                summary: entry.summary,
+                weight: entry.weight,  // 回答长度编码（未启用时为 undefined）
                 n,
                 baseN: n,
                 dotElement: null,
                 starred: false,
                 pinned: false,  // ✅ 标记状态
+                starKey: null,  // 对应的收藏存储 key
+                pinKey: null,   // 对应的标记存储 key
             };
             this.markerMap.set(m.id, m);
             return m;
         });
         
-        // ✅ 应用收藏状态：根据 starredIndexes 设置 starred 和填充 this.starred
-        this.starredIndexes.forEach(index => {
-            const marker = this.markers[index];
-            if (marker && marker.id) {
-                marker.starred = true;
-                this.starred.add(marker.id);
-            }
-        });
-        
-        // ✅ 应用标记状态：根据 pinnedIndexes 设置 pinned 和填充 this.pinned
-        this.pinnedIndexes.forEach(index => {
-            const marker = this.markers[index];
-            if (marker && marker.id) {
-                marker.pinned = true;
-                this.pinned.add(marker.id);
-            }
-        });
+        // ✅ 应用收藏和标记状态：根据存储记录重新定位到节点
+        this.applyStoredMarks();
+        // ✅ 搜索框打开时，新的节点同样按搜索条件标记
+        if (this.ui.searchBox && !this.ui.searchBox.hidden) {
+            this.applySearch();
+        }
         
         // Bump version after markers are rebuilt to invalidate concurrent passes
         this.markersVersion++;
@@ -966,21 +1739,155 @@ class TimelineManager {
         // Ensure active class is applied after dots are created
         this.updateActiveDotUI();
         this.scheduleScrollSync();
-        // ✅ 检查是否有跨页面导航任务
-        this.getNavigateData('targetIndex').then(targetIndex => {
-            if (targetIndex !== null && this.markers[targetIndex]) {
-                requestAnimationFrame(() => {
-                    const marker = this.markers[targetIndex];
-                    if (marker && marker.element) {
-                        this.smoothScrollTo(marker.element);
-                    }
-                });
+        // ✅ 打开的是指向某个节点的链接：节点出现后滚动到该处（会话较长时可能要等到后续加载）
+        if (this.linkTarget) {
+            const marker = TurnLink.resolve(this.linkTarget, this.markers);
+            if (marker) {
+                this.linkTarget = null;
+                requestAnimationFrame(() => this.revealMarker(marker));
             }
-        }).catch(() => {});
+        }
         
         this.perfEnd('recalc');
     }
     
+    /**
+     * ✅ 更新节点时间（见 TurnTimes）
+     * - 新出现的提问记录首次出现时间；打开会话时已经在页面上的提问，以及出现在已知提问之前的提问
+     *   （如向上滚动时加载的历史消息）标记为 existing（不是提问时间）
+     * - 只有最后一个提问的回答可能正在生成：在本次打开期间看到它新出现、回答为空或变短（重新生成）后，
+     *   回答每次变化都更新回答时间，最后一次变化即回答完成的时间
+     * - 没有看到生成过程的回答（历史回答）不记录回答时间
+     */
+    updateTurnTimes(identities, turnElements) {
+        const now = Date.now();
+        const ids = identities.map(identity => identity.id);
+        const lastId = ids[ids.length - 1];
+        const lastIsNew = !this.turnTimes[lastId];
+        // 新的提问只会出现在最后一个已知提问之后
+        const lastKnown = ids.map(id => !!this.turnTimes[id]).lastIndexOf(true);
+        let changed = TurnTimes.markSeen(this.turnTimes, ids.slice(0, lastKnown + 1), now, true);
+        changed = TurnTimes.markSeen(this.turnTimes, ids.slice(lastKnown + 1), now, !this.turnTimesOpened) || changed;
+        this.turnTimesOpened = true;
+        
+        const length = this.measureAnswerLengths(turnElements.slice(-1))[0];
+        const prev = this.lastAnswer && this.lastAnswer.id === lastId ? this.lastAnswer : null;
+        // 打开会话时已有的回答在页面加载过程中也会变长，不算作生成
+        const appeared = !this.turnTimes[lastId].existing && (lastIsNew || length === 0);
+        const tracking = appeared || !!(prev && (prev.tracking || length < prev.length));
+        if (length > 0 && tracking && (!prev || length !== prev.length)) {
+            changed = TurnTimes.markAnswered(this.turnTimes, lastId, now) || changed;
+        }
+        this.lastAnswer = { id: lastId, length, tracking };
+        
+        if (changed) {
+            TurnTimes.save(this.getConversationKey(), this.turnTimes).catch(() => {});
+        }
+    }
+    
+    /**
+     * ✅ 计算节点在时间轴上的相对位置（0~1），由显示设置中的间距模式决定
+     * - proportional：按页面上的像素位置（默认）
+     * - equal：按顺序等距排列，超长回答不会把其他节点挤在一起
+     * - time：按节点首次出现的时间；时间还没加载或全部相同时退回等距
+     * 过近的节点随后由 applyMinGap 拉开
+     * @returns {number[]}
+     */
+    computeMarkerPositions(entries, firstRect, contentSpan) {
+        const last = Math.max(1, entries.length - 1);
+        const equal = entries.map((entry, i) => i / last);
+        
+        if (this.settings.spacing === 'equal') return equal;
+        
+        if (this.settings.spacing === 'time') {
+            if (!this.turnTimes) return equal;
+            // 回答使用所属提问的时间；时间不早于前一个节点，保持顺序
+            let time = -Infinity;
+            const times = entries.map(entry => {
+                const record = entry.kind === 'question' ? this.turnTimes[entry.questionId] : null;
+                if (record && record.seen > time) time = record.seen;
+                return time;
+            });
+            const span = times[times.length - 1] - times[0];
+            if (!Number.isFinite(span) || span <= 0) return equal;
+            return times.map(t => (t - times[0]) / span);
+        }
+        
+        // 统一使用 getBoundingClientRect 计算相对位置
+        return entries.map(entry => (entry.element.getBoundingClientRect().top - firstRect.top) / contentSpan);
+    }
+    
+    /**
+     * ✅ 测量每个提问之后的回答长度：该提问与下一个提问之间的文本字数
+     * 不依赖网站的回答选择器，所有网站通用；最后一个提问量到对话容器末尾
+     * 回答生成时每次变化都会重新计算节点，因此按提问元素缓存：
+     * 只重新测量最后一个提问（可能正在生成）和下一个提问有变化的提问
+     * @param {Element[]} questionElements - 提问元素（按页面顺序）
+     * @returns {number[]}
+     */
+    measureAnswerLengths(questionElements) {
+        const range = document.createRange();
+        return questionElements.map((el, i) => {
+            const next = questionElements[i + 1] || null;
+            const cached = this.answerLengthCache.get(el);
+            if (next && cached && cached.next === next) return cached.length;
+            let length = 0;
+            try {
+                range.setStartAfter(el);
+                if (next) {
+                    range.setEndBefore(next);
+                } else {
+                    range.setEnd(this.conversationContainer, this.conversationContainer.childNodes.length);
+                }
+                length = range.toString().replace(/\s+/g, '').length;
+            } catch {
+                return 0;
+            }
+            this.answerLengthCache.set(el, { next, length });
+            return length;
+        });
+    }
+    
+    /**
+     * ✅ 查找每个提问对应的 AI 回答元素（按文档顺序，取提问之后、下一个提问之前的第一个回答）
+     * @param {Element[]} questionElements - 提问元素
+     * @returns {Map<Element, Element>} 提问元素 → 回答元素
+     */
+    findAnswerElements(questionElements) {
+        const result = new Map();
+        const selector = this.adapter.getAssistantMessageSelector();
+        if (!selector) return result;
+        
+        let answerElements = [];
+        try {
+            answerElements = Array.from(this.conversationContainer.querySelectorAll(selector));
+        } catch {
+            return result;
+        }
+        if (answerElements.length === 0) return result;
+        
+        const byDocumentOrder = (a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+        const questions = new Set(questionElements);
+        const all = [...questionElements, ...answerElements].sort(byDocumentOrder);
+        
+        let currentQuestion = null;
+        all.forEach(el => {
+            if (questions.has(el)) {
+                currentQuestion = el;
+            } else if (currentQuestion && !result.has(currentQuestion)) {
+                result.set(currentQuestion, el);
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * ✅ 按提问序号查找提问节点（旧数据和跨页面导航使用）
+     */
+    getQuestionMarker(index) {
+        return this.markers.find(m => m.kind === 'question' && m.index === index) || null;
+    }
+    
     setupObservers() {
         this.mutationObserver = new MutationObserver(() => {
             try { this.ensureContainersUpToDate(); } catch {}
@@ -1117,6 +2024,8 @@ class TimelineManager {
         this.startLongPress = (e) => {
             const dot = e.target.closest('.timeline-dot');
             if (!dot) return;
+            // 只响应左键（右键打开右键菜单）
+            if (e.type === 'mousedown' && e.button !== 0) return;
             
             longPressTarget = dot;
             longPressTriggered = false; // 重置标志
@@ -1136,8 +2045,8 @@ class TimelineManager {
                         navigator.vibrate(50); // 震动 50ms
                     }
                     
-                    // ✅ 切换图钉状态
-                    await this.togglePin(targetId);
+                    // ✅ 选择标记分类
+                    this.showPinMenu(targetId, dot);
                 }
                 longPressTimer = null;
             }, 500); // 500ms 触发长按
@@ -1172,6 +2081,18 @@ class TimelineManager {
         this.ui.timelineBar.addEventListener('touchmove', this.checkLongPressMove, { passive: true });
         this.ui.timelineBar.addEventListener('mouseup', this.cancelLongPress);
         this.ui.timelineBar.addEventListener('mouseleave', this.cancelLongPress);
+        
+        // ✅ 节点右键菜单
+        this.onTimelineContextMenu = (e) => {
+            const dot = e.target.closest('.timeline-dot');
+            if (!dot || !dot.dataset.targetTurnId) return;
+            e.preventDefault();
+            this.cancelLongPress();
+            // 键盘（菜单键、Shift+F10）打开时没有鼠标位置，显示在节点左侧
+            const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+            this.showDotContextMenu(dot.dataset.targetTurnId, fromKeyboard ? { anchor: dot } : { x: e.clientX, y: e.clientY });
+        };
+        this.ui.timelineBar.addEventListener('contextmenu', this.onTimelineContextMenu);
         this.ui.timelineBar.addEventListener('touchend', this.cancelLongPress);
         this.ui.timelineBar.addEventListener('touchcancel', this.cancelLongPress);
         
@@ -1305,76 +2226,67 @@ class TimelineManager {
         // Cross-tab/cross-site star sync via chrome.storage change event
         this.onStorage = (changes, areaName) => {
             try {
-                const url = location.href.replace(/^https?:\/\//, '');
-                const starPrefix = `chatTimelineStar:${url}:`;
-                const pinPrefix = `chatTimelinePin:${url}:`;
+                const starPrefix = this.getMarkKeyPrefix('chatTimelineStar');
+                const pinPrefix = this.getMarkKeyPrefix('chatTimelinePin');
+                const notePrefix = this.getMarkKeyPrefix('chatTimelineNote');
                 
                 // 检查变化的key中是否有当前页面的收藏或标记数据
+                let marksChanged = false;
                 Object.keys(changes).forEach(key => {
-                    // 处理收藏变化
+                    let records = null;
                     if (key.startsWith(starPrefix)) {
-                        const indexStr = key.substring(starPrefix.length);
-                        const index = parseInt(indexStr, 10);
-                        if (isNaN(index)) return;
-                        
-                        const marker = this.markers[index];
-                        if (!marker) return;
-                        
-                        const change = changes[key];
-                        
-                        // 判断是添加还是删除
-                        if (change.newValue) {
-                            // 添加收藏
-                            this.starred.add(marker.id);
-                            this.starredIndexes.add(index);
-                            if (marker) marker.starred = true;
-                        } else {
-                            // 删除收藏
-                            this.starred.delete(marker.id);
-                            this.starredIndexes.delete(index);
-                            if (marker) marker.starred = false;
-                        }
-                        
-                        // 更新圆点样式并刷新 tooltip
-                        if (marker.dotElement) {
-                            try { 
-                                marker.dotElement.classList.toggle('starred', this.starred.has(marker.id));
-                                this.refreshTooltipForDot(marker.dotElement);
-                            } catch {}
+                        // 整个聊天的收藏（index = -1）不对应节点，只更新收藏聊天按钮
+                        if (key === `${starPrefix}-1`) {
+                            this.updateStarChatButtonState(!!changes[key].newValue);
+                            return;
                         }
+                        records = this.starRecords;
+                    } else if (key.startsWith(pinPrefix)) {
+                        records = this.pinnedRecords;
+                    } else if (key.startsWith(notePrefix)) {
+                        records = this.noteRecords;
                     }
+                    if (!records) return;
                     
-                    // ✅ 处理标记变化
-                    if (key.startsWith(pinPrefix)) {
-                        const indexStr = key.substring(pinPrefix.length);
-                        const index = parseInt(indexStr, 10);
-                        if (isNaN(index)) return;
-                        
-                        const marker = this.markers[index];
-                        if (!marker) return;
-                        
-                        const change = changes[key];
-                        
-                        // 判断是添加还是删除
-                        if (change.newValue) {
-                            // 添加标记
-                            this.pinned.add(marker.id);
-                            this.pinnedIndexes.add(index);
-                            marker.pinned = true;
-                        } else {
-                            // 删除标记
-                            this.pinned.delete(marker.id);
-                            this.pinnedIndexes.delete(index);
-                            marker.pinned = false;
-                        }
-                        
-                        // 更新图钉图标
-                        this.updatePinIcon(marker);
+                    // 判断是添加还是删除（清空正文的备注视为删除）
+                    const change = changes[key];
+                    if (change.newValue && (records !== this.noteRecords || change.newValue.note)) {
+                        records.set(key, change.newValue);
+                    } else {
+                        records.delete(key);
                     }
+                    marksChanged = true;
                 });
                 
-                // ✅ 重新渲染所有图钉
-                this.renderPinMarkers();
+                // 重新定位并刷新圆点样式和图钉
+                if (marksChanged) {
+                    this.refreshMarkStates();
+                }
+                
+                // ✅ 显示设置在设置页中修改后立即生效
+                const settingsChange = changes[TimelineSettings.STORAGE_KEY];
+                if (settingsChange) {
+                    this.settings = TimelineSettings.normalize(settingsChange.newValue);
+                    this.applySettings();
+                    this.recalculateAndRenderMarkers();
+                }
+                
+                // ✅ 文件夹在其他标签页或设备上有变化时，刷新打开中的收藏面板
+                if (changes[BookmarkOrganizer.FOLDERS_KEY] && this.ui.starredPanel?.classList.contains('visible')) {
+                    this.updateStarredListUI();
+                }
+                
+                // ✅ 同步写入被拒绝：立即提示，并更新面板中的警告
+                const syncChange = changes[StorageAdapter.SYNC_STATUS_KEY];
+                if (syncChange) {
+                    if (syncChange.newValue && !syncChange.oldValue) {
+                        const target = (this.ui.starredBtn && this.ui.starredBtn.style.display !== 'none')
+                            ? this.ui.starredBtn
+                            : this.ui.timelineBar;
+                        this.showErrorToast(chrome.i18n.getMessage('syncWriteRejectedToast'), target);
+                    }
+                    this.updateSyncWarning();
+                }
                 
                 // 更新收藏列表 UI
                 this.updateStarredListUI();
@@ -1398,15 +2310,84 @@ class TimelineManager {
             });
         }
         
+        // ✅ 搜索和筛选（只过滤已加载的列表，不重新读取存储）
+        if (this.ui.starredSearch) {
+            this.ui.starredSearch.addEventListener('input', () => {
+                this.starredFilter.query = this.ui.starredSearch.value;
+                this.renderStarredList();
+            });
+        }
+        (this.ui.starredFilters || []).forEach(select => {
+            select.addEventListener('change', () => {
+                this.starredFilter[select.dataset.filter] = select.value;
+                this.renderStarredList();
+            });
+        });
+        if (this.ui.activeTag) {
+            this.ui.activeTag.addEventListener('click', () => {
+                this.starredFilter.tag = '';
+                this.renderStarredList();
+            });
+        }
+        
         // ✅ 点击弹窗外部关闭
         if (this.ui.starredPanel) {
             this.ui.starredPanel.addEventListener('click', (e) => {
+                // 点击导出菜单以外的地方时收起菜单
+                if (this.ui.exportMenu && !e.target.closest('.timeline-starred-export')) {
+                    this.ui.exportMenu.classList.remove('visible');
+                }
                 if (e.target === this.ui.starredPanel) {
                     this.hideStarredPanel();
                 }
             });
         }
         
+        // ✅ 导出：JSON / Markdown / CSV
+        if (this.ui.exportBtn && this.ui.exportMenu) {
+            this.ui.exportBtn.addEventListener('click', () => {
+                this.ui.exportMenu.classList.toggle('visible');
+            });
+            this.ui.exportMenu.querySelectorAll('button[data-format]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.ui.exportMenu.classList.remove('visible');
+                    this.exportBookmarks(btn.dataset.format);
+                });
+            });
+        }
+        
+        // ✅ 导入：选择之前导出的 JSON 文件
+        if (this.ui.importBtn && this.ui.importInput) {
+            this.bindCustomTooltip(this.ui.importBtn);
+            this.ui.importBtn.addEventListener('click', () => {
+                this.ui.importInput.value = '';
+                this.ui.importInput.click();
+            });
+            this.ui.importInput.addEventListener('change', () => {
+                const file = this.ui.importInput.files && this.ui.importInput.files[0];
+                if (file) this.importBookmarks(file);
+            });
+        }
+        
+        // ✅ 回收站：在收藏列表和回收站之间切换
+        if (this.ui.trashBtn) {
+            this.ui.trashBtn.addEventListener('click', () => {
+                this.starredView = this.starredView === 'trash' ? 'list' : 'trash';
+                this.ui.trashBtn.setAttribute('aria-pressed', String(this.starredView === 'trash'));
+                this.ui.starredPanel.classList.toggle('trash-view', this.starredView === 'trash');
+                this.updateStarredListUI();
+            });
+        }
+        
+        // ✅ 键盘操作（见 TimelineKeyboard）：只处理时间轴获得焦点时的按键，页面其它位置的按键交给网站
+        this.onKeyDown = (e) => {
+            const command = TimelineKeyboard.getCommand(e);
+            if (!command) return;
+            e.preventDefault();
+            this.runCommand(command, true);
+        };
+        this.ui.timelineBar.addEventListener('keydown', this.onKeyDown);
+        
         // ✅ 优化：监听主题变化，清空缓存
         this.setupThemeChangeListener();
     }
@@ -1498,6 +2479,76 @@ class TimelineManager {
         requestAnimationFrame(animation);
     }
     
+    /**
+     * ✅ 执行键盘命令（页面内快捷键和 chrome.commands 共用）
+     * @param {string} command - 见 TimelineKeyboard.COMMANDS
+     * @param {boolean} focusDot - 跳转后让目标圆点获得焦点（焦点原本在时间轴内时）
+     */
+    runCommand(command, focusDot = false) {
+        const isQuestion = m => m.kind === 'question';
+        switch (command) {
+            case 'next-turn':
+                return this.navigateToMarker(this.findMarkerFrom(1, isQuestion), focusDot);
+            case 'previous-turn':
+                return this.navigateToMarker(this.findMarkerFrom(-1, isQuestion), focusDot);
+            case 'first-turn':
+                return this.navigateToMarker(this.markers.find(isQuestion), focusDot);
+            case 'last-turn':
+                return this.navigateToMarker([...this.markers].reverse().find(isQuestion), focusDot);
+            case 'next-starred':
+                // 收藏和标记循环跳转
+                return this.navigateToMarker(this.findMarkerFrom(1, m => m.starred, true), focusDot);
+            case 'next-pinned':
+                return this.navigateToMarker(this.findMarkerFrom(1, m => this.isPinVisible(m), true), focusDot);
+            case 'toggle-star':
+                if (this.activeTurnId) this.toggleStar(this.activeTurnId);
+                return;
+            case 'toggle-pin':
+                // 按分类筛选时，新标记使用该分类
+                if (this.activeTurnId) this.togglePin(this.activeTurnId, this.pinFilter || PinCategories.DEFAULT);
+                return;
+            case 'open-starred-panel':
+                return this.toggleStarredPanel();
+            case 'find-in-conversation':
+                return this.openSearch();
+            case 'export-conversation':
+                return this.exportConversation();
+        }
+    }
+    
+    /**
+     * ✅ 从当前节点起按方向查找符合条件的节点
+     * 上一次键盘跳转的滚动还没结束时，从跳转目标开始（连续按键不会停在原地）
+     * @param {number} step - 1 向后，-1 向前
+     * @param {Function} predicate - 节点条件
+     * @param {boolean} wrap - 到达末尾后是否从头开始
+     */
+    findMarkerFrom(step, predicate, wrap = false) {
+        const len = this.markers.length;
+        if (len === 0) return null;
+        const currentId = (this.isScrolling && this.keyboardTargetId) || this.activeTurnId;
+        const current = this.markers.findIndex(m => m.id === currentId);
+        for (let i = 1; i <= len; i++) {
+            let index = current + step * i;
+            if (wrap) {
+                index = ((index % len) + len) % len;
+            } else if (index < 0 || index >= len) {
+                return null;
+            }
+            if (predicate(this.markers[index])) return this.markers[index];
+        }
+        return null;
+    }
+    
+    navigateToMarker(marker, focusDot = false) {
+        if (!marker || !marker.element) return;
+        this.keyboardTargetId = marker.id;
+        this.smoothScrollTo(marker.element);
+        if (focusDot && marker.dotElement) {
+            try { marker.dotElement.focus({ preventScroll: true }); } catch {}
+        }
+    }
+    
     easeInOutQuad(t, b, c, d) {
         t /= d / 2;
         if (t < 1) return c / 2 * t * t + b;
@@ -1664,12 +2715,41 @@ class TimelineManager {
         content.className = 'timeline-tooltip-content';
         content.textContent = layout.text;
         
+        // ✅ 有分支的节点：在文本前显示当前版本
+        const marker = id ? this.markerMap.get(id) : null;
+        if (marker && marker.branch) {
+            const branchLabel = document.createElement('span');
+            branchLabel.className = 'timeline-tooltip-branch';
+            branchLabel.textContent = chrome.i18n.getMessage('branchLabel', [String(marker.branch.current), String(marker.branch.total)]);
+            content.prepend(branchLabel);
+        }
+        
         // 添加点击复制功能
         content.addEventListener('click', (e) => {
             e.stopPropagation();
             this.copyToClipboard(messageText, content);
         });
         
+        // ✅ 提问和回答时间（见 TurnTimes）
+        const times = marker && this.turnTimes ? this.turnTimes[marker.questionId] : null;
+        const timesText = TurnTimes.describe(times, timestamp => new Date(timestamp).toLocaleString());
+        if (timesText) {
+            const timeEl = document.createElement('div');
+            timeEl.className = 'timeline-tooltip-time';
+            timeEl.textContent = timesText;
+            content.appendChild(timeEl);
+        }
+        
+        // ✅ 节点备注：在文本下方显示 Markdown 预览
+        if (marker && marker.note) {
+            const noteEl = document.createElement('div');
+            noteEl.className = 'timeline-tooltip-note timeline-markdown';
+            noteEl.innerHTML = MarkdownRenderer.render(marker.note);
+            // 备注中的链接可以点击，其余区域不触发复制
+            noteEl.addEventListener('click', (e) => e.stopPropagation());
+            content.appendChild(noteEl);
+        }
+        
         // 创建星标图标（放在内容右侧，垂直居中）
         const starSpan = document.createElement('span');
         starSpan.className = 'timeline-tooltip-star';
@@ -1710,12 +2790,29 @@ class TimelineManager {
             }
         });
         
-        // 组装：content 和 star 平级，使用 flex 布局
+        // ✅ 备注按钮（放在星标下方）
+        const noteBtn = document.createElement('span');
+        noteBtn.className = 'timeline-tooltip-note-btn';
+        noteBtn.textContent = '📝';
+        noteBtn.setAttribute('data-tooltip', chrome.i18n.getMessage(marker && marker.note ? 'editNote' : 'addNote'));
+        noteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideTooltip(true);
+            this.editNote(id);
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'timeline-tooltip-actions';
+        actions.appendChild(starSpan);
+        actions.appendChild(noteBtn);
+        
+        // 组装：content 和操作按钮平级，使用 flex 布局
         tip.appendChild(content);
-        tip.appendChild(starSpan);
+        tip.appendChild(actions);
         
-        // 为星标绑定快速响应的自定义tooltip
+        // 为星标和备注按钮绑定快速响应的自定义tooltip
         this.bindCustomTooltip(starSpan);
+        this.bindCustomTooltip(noteBtn);
         
         // ✅ 先设置宽度和基本样式，让tooltip可以正确渲染
         tip.style.maxWidth = `${Math.floor(p.width)}px`;
@@ -2029,12 +3126,16 @@ class TimelineManager {
             if (!marker) continue;
             if (!marker.dotElement) {
                 const dot = document.createElement('button');
-                dot.className = 'timeline-dot';
+                dot.className = marker.kind === 'answer' ? 'timeline-dot answer' : 'timeline-dot';
                 dot.dataset.targetTurnId = marker.id;
                 dot.setAttribute('aria-label', marker.summary);
                 dot.setAttribute('tabindex', '0');
                 try { dot.setAttribute('aria-describedby', 'chat-timeline-tooltip'); } catch {}
                 try { dot.style.setProperty('--n', String(marker.n || 0)); } catch {}
+                // ✅ 回答长度编码（大小或颜色由 CSS 根据 data-dot-encoding 决定）
+                if (marker.weight !== undefined) {
+                    try { dot.style.setProperty('--weight', marker.weight.toFixed(3)); } catch {}
+                }
                 if (this.usePixelTop) {
                     dot.style.top = `${Math.round(this.yPositions[i])}px`;
                 }
@@ -2045,7 +3146,20 @@ class TimelineManager {
                 // ✅ 添加：如果已标记，添加 pinned 类（CSS自动显示图钉）
                 try { 
                     dot.classList.toggle('pinned', this.pinned.has(marker.id));
+                    dot.classList.toggle('pin-match', this.isPinVisible(marker));
+                } catch {}
+                // ✅ 有备注的节点
+                try { dot.classList.toggle('has-note', !!marker.note); } catch {}
+                // ✅ 会话内搜索的匹配结果
+                try {
+                    dot.classList.toggle('search-match', !!marker.searchMatch);
+                    dot.classList.toggle('search-current', marker === this.search.results[this.search.current]);
                 } catch {}
+                // ✅ 有其他分支（编辑版本）的节点
+                if (marker.branch) {
+                    dot.classList.add('has-branches');
+                    dot.dataset.branch = `${marker.branch.current}/${marker.branch.total}`;
+                }
                 marker.dotElement = dot;
                 frag.appendChild(dot);
             } else {
@@ -2060,9 +3174,10 @@ class TimelineManager {
         if (frag.childNodes.length) this.ui.trackContent.appendChild(frag);
         this.visibleRange = { start, end };
         
-        // ✅ 节点渲染完成后，重新渲染图钉
+        // ✅ 节点渲染完成后，重新渲染图钉和分支标识
         requestAnimationFrame(() => {
             this.renderPinMarkers();
+            this.renderBranchMarkers();
         });
         
         // keep slider in sync with timeline scroll
@@ -2449,6 +3564,7 @@ class TimelineManager {
         TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'mouseleave', this.cancelLongPress);
         TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'touchend', this.cancelLongPress);
         TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'touchcancel', this.cancelLongPress);
+        TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'contextmenu', this.onTimelineContextMenu);
         TimelineUtils.removeEventListenerSafe(this.scrollContainer, 'scroll', this.onScroll, { passive: true });
         TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'mouseover', this.onTimelineBarOver);
         TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'mouseout', this.onTimelineBarOut);
@@ -2465,6 +3581,7 @@ class TimelineManager {
         TimelineUtils.removeEventListenerSafe(this.ui.sliderHandle, 'pointerdown', this.onSliderDown);
         TimelineUtils.removeEventListenerSafe(window, 'pointermove', this.onSliderMove);
         TimelineUtils.removeEventListenerSafe(window, 'resize', this.onWindowResize);
+        TimelineUtils.removeEventListenerSafe(this.ui.timelineBar, 'keydown', this.onKeyDown);
         TimelineUtils.removeEventListenerSafe(window.visualViewport, 'resize', this.onVisualViewportResize);
         
         // Clear timers and RAF
@@ -2477,6 +3594,8 @@ class TimelineManager {
         this.sliderFadeTimer = TimelineUtils.clearTimerSafe(this.sliderFadeTimer);
         // ✅ 移除：longPressTimer 已删除
         this.zeroTurnsTimer = TimelineUtils.clearTimerSafe(this.zeroTurnsTimer);
+        this.markIndexTimer = TimelineUtils.clearTimerSafe(this.markIndexTimer);
+        this.markIndexUpdates.clear();
         this.showRafId = TimelineUtils.clearRafSafe(this.showRafId);
         
         // Remove DOM elements
@@ -2498,6 +3617,10 @@ class TimelineManager {
         // ✅ 修复：清理收藏按钮和面板
         TimelineUtils.removeElementSafe(this.ui.starredBtn);
         TimelineUtils.removeElementSafe(this.ui.starredPanel);
+        TimelineUtils.removeElementSafe(this.ui.searchBtn);
+        TimelineUtils.removeElementSafe(this.ui.searchBox);
+        TimelineUtils.removeElementSafe(this.ui.pinLegend);
+        this.hideMenu();
         
         // Clear references
         this.ui = { timelineBar: null, tooltip: null, track: null, trackContent: null, slider: null, sliderHandle: null };
@@ -2519,29 +3642,49 @@ class TimelineManager {
         // ✅ 清理长按相关的引用
         this.startLongPress = this.checkLongPressMove = this.cancelLongPress = null;
         this.onSliderDown = this.onSliderMove = this.onSliderUp = null;
+        this.onKeyDown = null;
         this.pendingActiveId = null;
     }
 
     // --- Star/Highlight helpers ---
+    
+    // ✅ 当前会话的标识（{site}:{conversationId}，见 ConversationKey）
+    getConversationKey() {
+        return ConversationKey.fromUrl(location.href, this.adapter);
+    }
+    
+    // ✅ 当前会话收藏/标记的存储 key 前缀
+    getMarkKeyPrefix(namespace) {
+        return ConversationKey.prefix(namespace, this.getConversationKey());
+    }
+    
+    /**
+     * ✅ 读取当前页面的收藏/标记记录
+     * @param {string} namespace - 'chatTimelineStar' 或 'chatTimelinePin'
+     * @returns {Promise<Map>} 存储 key → 记录
+     */
+    async loadMarkRecords(namespace) {
+        const records = new Map();
+        const prefix = this.getMarkKeyPrefix(namespace);
+        const items = await StorageAdapter.getAllByPrefix(prefix);
+        
+        Object.keys(items).forEach(key => {
+            const record = items[key];
+            if (!record || typeof record !== 'object') return;
+            // 整个聊天的收藏（index = -1）不对应节点
+            if (key === `${prefix}-1`) return;
+            // 旧格式的记录由 StorageMigrations 补全，这里只跳过无法定位的记录
+            if (record.index === undefined && !record.turnId) return;
+            records.set(key, record);
+        });
+        return records;
+    }
+    
     async loadStars() {
         this.starred.clear();
-        this.starredIndexes.clear();
+        this.starRecords.clear();
         try {
-            // 使用完整 URL（去掉协议）作为前缀
-            const url = location.href.replace(/^https?:\/\//, '');
-            const prefix = `chatTimelineStar:${url}:`;
-            
-            // 使用 StorageAdapter 获取所有匹配的收藏
-            const items = await StorageAdapter.getAllByPrefix(prefix);
-            
-            // 提取 index
-            Object.keys(items).forEach(key => {
-                const indexStr = key.substring(prefix.length);
-                const index = parseInt(indexStr, 10);
-                if (!isNaN(index)) {
-                    this.starredIndexes.add(index);
-                }
-            });
+            this.starRecords = await this.loadMarkRecords('chatTimelineStar');
         } catch (e) {
             // Silently fail
         }
@@ -2552,42 +3695,260 @@ class TimelineManager {
      */
     async loadPins() {
         this.pinned.clear();
-        this.pinnedIndexes.clear();
+        this.pinnedRecords.clear();
         try {
-            const url = location.href.replace(/^https?:\/\//, '');
-            const prefix = `chatTimelinePin:${url}:`;
-            
-            const items = await StorageAdapter.getAllByPrefix(prefix);
-            
-            Object.keys(items).forEach(key => {
-                const indexStr = key.substring(prefix.length);
-                const index = parseInt(indexStr, 10);
-                if (!isNaN(index)) {
-                    this.pinnedIndexes.add(index);
-                }
+            this.pinnedRecords = await this.loadMarkRecords('chatTimelinePin');
+        } catch (e) {
+            // Silently fail
+        }
+    }
+    
+    /**
+     * ✅ 加载显示设置
+     */
+    async loadSettings() {
+        try {
+            this.settings = await TimelineSettings.load();
+        } catch (e) {
+            // Silently fail
+        }
+        this.applySettings();
+    }
+    
+    async loadTurnTimes() {
+        try {
+            this.turnTimes = await TurnTimes.load(this.getConversationKey());
+        } catch (e) {
+            this.turnTimes = {};
+        }
+        this.turnTimesOpened = false;
+    }
+    
+    // 设置通过时间轴上的 data 属性交给 CSS
+    applySettings() {
+        if (!this.ui.timelineBar) return;
+        this.ui.timelineBar.dataset.dotEncoding = this.settings.dotEncoding;
+    }
+    
+    /**
+     * ✅ 加载节点备注（没有正文的记录忽略）
+     */
+    async loadNotes() {
+        this.noteRecords.clear();
+        try {
+            const records = await this.loadMarkRecords('chatTimelineNote');
+            records.forEach((record, key) => {
+                if (record.note) this.noteRecords.set(key, record);
             });
         } catch (e) {
             // Silently fail
         }
     }
+    
+    /**
+     * ✅ 根据存储记录重新定位收藏和标记（re-anchor）
+     */
+    applyStoredMarks() {
+        this.starred.clear();
+        this.pinned.clear();
+        this.markers.forEach(marker => {
+            marker.starred = false;
+            marker.pinned = false;
+            marker.pinCategory = null;
+            marker.starKey = null;
+            marker.pinKey = null;
+            marker.note = '';
+            marker.noteKey = null;
+        });
+        
+        this.anchorMarkRecords(this.starRecords, 'chatTimelineStar').forEach((marker, key) => {
+            marker.starred = true;
+            marker.starKey = key;
+            this.starred.add(marker.id);
+        });
+        this.anchorMarkRecords(this.pinnedRecords, 'chatTimelinePin').forEach((marker, key) => {
+            marker.pinned = true;
+            marker.pinCategory = PinCategories.of(this.pinnedRecords.get(key)).id;
+            marker.pinKey = key;
+            this.pinned.add(marker.id);
+        });
+        this.anchorMarkRecords(this.noteRecords, 'chatTimelineNote').forEach((marker, key) => {
+            marker.note = this.noteRecords.get(key)?.note || '';
+            marker.noteKey = key;
+        });
+    }
+    
+    /**
+     * ✅ 将存储记录匹配到当前节点
+     * 1. 按节点 ID（指纹 + 序号）精确匹配
+     * 2. 指纹相同但序号变化（前面增删了相同的问题）时，取距离原位置最近的节点
+     *    记录属于某个分支时，只在同一分支内查找，不会落到其他分支的相同问题上
+     * 3. 旧数据（只有 index）按位置匹配，并迁移为按节点 ID 存储
+     * 找不到对应节点的记录（如问题被编辑、切换到了其他分支）保留不动，不会落到别的节点上
+     * @param {Map} records - 存储 key → 记录
+     * @param {string} namespace - 'chatTimelineStar'、'chatTimelinePin' 或 'chatTimelineNote'
+     * @returns {Map} 存储 key → marker
+     */
+    anchorMarkRecords(records, namespace) {
+        const anchored = new Map();
+        const claimed = new Set();
+        const pending = [];
+        
+        records.forEach((record, key) => {
+            const marker = record.turnId ? this.markerMap.get(record.turnId) : null;
+            if (marker && !claimed.has(marker.id)) {
+                claimed.add(marker.id);
+                anchored.set(key, marker);
+                // 位置变化时更新 index（用于排序和兜底定位），不在渲染中写入存储
+                if (record.index !== marker.index) {
+                    record.index = marker.index;
+                    this.queueMarkIndexUpdate(key, marker.index);
+                }
+            } else {
+                pending.push([key, record]);
+            }
+        });
+        
+        pending.forEach(([key, record]) => {
+            let marker = null;
+            if (record.turnId) {
+                const { fingerprint, branchPath } = TurnIdentity.parse(record.turnId);
+                let bestDistance = Infinity;
+                this.markers.forEach(m => {
+                    if (m.fingerprint !== fingerprint || claimed.has(m.id)) return;
+                    if (branchPath && m.branchPath !== branchPath) return;
+                    const distance = Math.abs(m.index - (record.index || 0));
+                    if (distance < bestDistance) {
+                        marker = m;
+                        bestDistance = distance;
+                    }
+                });
+            } else {
+                const m = this.getQuestionMarker(record.index);
+                if (m && !claimed.has(m.id)) marker = m;
+            }
+            if (!marker) return;
+            
+            claimed.add(marker.id);
+            if (record.turnId) {
+                anchored.set(key, marker);
+            } else {
+                anchored.set(this.migrateMarkRecord(records, namespace, key, record, marker), marker);
+            }
+        });
+        
+        return anchored;
+    }
+    
+    /**
+     * ✅ 合并写回记录的新位置
+     * index 只是兜底定位的提示，只写入本地记录（不占用同步写入配额），
+     * 写入时读取最新的本地记录，不覆盖期间对标签、文件夹等的修改
+     */
+    queueMarkIndexUpdate(key, index) {
+        this.markIndexUpdates.set(key, index);
+        if (this.markIndexTimer) return;
+        this.markIndexTimer = setTimeout(async () => {
+            this.markIndexTimer = null;
+            const updates = [...this.markIndexUpdates];
+            this.markIndexUpdates.clear();
+            for (const [key, index] of updates) {
+                const stored = await StorageAdapter.getLocal(key);
+                if (stored && stored.index !== index) {
+                    await StorageAdapter.setLocal(key, { ...stored, index });
+                }
+            }
+        }, 1000);
+    }
+    
+    /**
+     * ✅ 将旧的按 index 存储的记录迁移为按节点 ID 存储
+     * @returns {string} 新的存储 key
+     */
+    migrateMarkRecord(records, namespace, oldKey, record, marker) {
+        const newKey = this.getMarkKeyPrefix(namespace) + marker.id;
+        const migrated = { ...record, index: marker.index, turnId: marker.id };
+        records.delete(oldKey);
+        records.set(newKey, migrated);
+        StorageAdapter.set(newKey, migrated).then(() => StorageAdapter.remove(oldKey)).catch(() => {});
+        return newKey;
+    }
+    
+    /**
+     * ✅ 重新定位后刷新所有圆点的收藏/标记样式
+     */
+    refreshMarkStates() {
+        this.applyStoredMarks();
+        this.markers.forEach(marker => {
+            if (!marker.dotElement) return;
+            try {
+                marker.dotElement.classList.toggle('starred', marker.starred);
+                marker.dotElement.classList.toggle('has-note', !!marker.note);
+                this.updatePinIcon(marker);
+                this.refreshTooltipForDot(marker.dotElement);
+            } catch {}
+        });
+        this.renderPinMarkers();
+    }
 
-    async saveStarItem(index, question) {
+    async saveStarItem(key, marker) {
         try {
-            const urlWithoutProtocol = location.href.replace(/^https?:\/\//, '');
-            const key = `chatTimelineStar:${urlWithoutProtocol}:${index}`;
             const value = { 
                 url: location.href,
-                urlWithoutProtocol: urlWithoutProtocol,
-                index: index,
-                question: question || '',
+                urlWithoutProtocol: location.href.replace(/^https?:\/\//, ''),
+                conversationKey: this.getConversationKey(),
+                index: marker.index,
+                turnId: marker.id,
+                kind: marker.kind,
+                question: marker.summary || '',
                 timestamp: Date.now()
             };
+            this.starRecords.set(key, value);
             await StorageAdapter.set(key, value);
         } catch (e) {
             // Silently fail
         }
     }
     
+    /**
+     * ✅ 编辑节点备注（清空内容即删除备注）
+     * @param {string} turnId - 节点 ID
+     */
+    async editNote(turnId) {
+        const marker = this.markerMap.get(turnId);
+        if (!marker) return;
+        
+        const text = await this.showNoteEditor(marker.note || '', marker.summary || '');
+        if (text === null || text === (marker.note || '')) return;
+        
+        try {
+            const key = marker.noteKey || this.getMarkKeyPrefix('chatTimelineNote') + marker.id;
+            if (!text) {
+                this.noteRecords.delete(key);
+                const trashIds = await BookmarkTrash.trash([key]);
+                this.showUndoToast(chrome.i18n.getMessage('noteDeletedToast'), trashIds);
+            } else {
+                const value = {
+                    url: location.href,
+                    urlWithoutProtocol: location.href.replace(/^https?:\/\//, ''),
+                    conversationKey: this.getConversationKey(),
+                    index: marker.index,
+                    turnId: marker.id,
+                    kind: marker.kind,
+                    question: marker.summary || '',
+                    note: text,
+                    timestamp: Date.now()
+                };
+                this.noteRecords.set(key, value);
+                await StorageAdapter.set(key, value);
+            }
+            this.refreshMarkStates();
+            this.updateStarredListUI();
+        } catch (e) {
+            console.error('Failed to save note:', e);
+        }
+    }
+    
     // ✅ 从 URL 获取网站信息（名称和颜色）
     getSiteInfoFromUrl(url) {
         try {
@@ -2631,11 +3992,11 @@ class TimelineManager {
         return this.getSiteInfoFromUrl(url).color;
     }
 
-    async removeStarItem(index) {
+    async removeStarItem(key) {
         try {
-            const url = location.href.replace(/^https?:\/\//, '');
-            const key = `chatTimelineStar:${url}:${index}`;
-            await StorageAdapter.remove(key);
+            this.starRecords.delete(key);
+            const trashIds = await BookmarkTrash.trash([key]);
+            this.showUndoToast(chrome.i18n.getMessage('unstarredToast'), trashIds);
         } catch (e) {
             // Silently fail
         }
@@ -2648,18 +4009,15 @@ class TimelineManager {
         const m = this.markerMap.get(id);
         if (!m) return;
         
-        const index = this.markers.indexOf(m);
-        if (index === -1) return;
-        
-        // 切换收藏状态
+        // 切换收藏状态（记录可能是按其他 key 匹配上的，取消时使用实际的 key）
         if (this.starred.has(id)) {
             this.starred.delete(id);
-            this.starredIndexes.delete(index);
-            this.removeStarItem(index);
+            this.removeStarItem(m.starKey || this.getMarkKeyPrefix('chatTimelineStar') + id);
+            m.starKey = null;
         } else {
             this.starred.add(id);
-            this.starredIndexes.add(index);
-            this.saveStarItem(index, m.summary);
+            m.starKey = this.getMarkKeyPrefix('chatTimelineStar') + id;
+            this.saveStarItem(m.starKey, m);
         }
         
         m.starred = this.starred.has(id);
@@ -2679,62 +4037,58 @@ class TimelineManager {
         this.updateStarredBtnVisibility();
     }
     
-    // 获取所有收藏的消息（所有网站的收藏，不限于当前网站）
+    // 获取所有收藏和标记（所有网站，不限于当前网站）
     async getStarredMessages() {
         const starredMessages = [];
-        try {
-            // ✅ 使用 StorageAdapter 获取所有网站的收藏（跨网站共享）
-            // 注意：这里不过滤当前网站，获取所有以 'chatTimelineStar:' 开头的条目
-            const items = await StorageAdapter.getAllByPrefix('chatTimelineStar:');
-            
-            Object.keys(items).forEach(key => {
-                try {
-                    const data = items[key];
-                    
-                    // 优先使用存储的字段，如果没有则从 key 中解析（兼容旧数据）
-                    // 从 key 中提取 url 和 index（用于兼容旧数据）
-                    const parts = key.split(':');
-                    
-                    const urlWithoutProtocol = data.urlWithoutProtocol || parts.slice(1, -1).join(':');
-                    const index = data.index !== undefined ? data.index : parseInt(parts[parts.length - 1], 10);
-                    const fullUrl = data.url || `https://${urlWithoutProtocol}`;
-                    
-                    // ✅ 处理整个聊天收藏（index = -1）和普通问题收藏
-                    if (index === -1) {
-                        // 整个聊天的收藏
-                        const siteInfo = this.getSiteInfoFromUrl(fullUrl);
-                        starredMessages.push({
-                            index: -1,
-                            question: data.question || '整个对话',
-                            url: fullUrl,
-                            urlWithoutProtocol: urlWithoutProtocol,
-                            siteName: siteInfo.name,
-                            siteColor: siteInfo.color,
-                            timestamp: data.timestamp || 0,
-                            isCurrentPage: urlWithoutProtocol === location.href.replace(/^https?:\/\//, ''),
-                            isFullChat: true  // 标识这是整个聊天
-                        });
-                    } else if (!isNaN(index) && index >= 0) {
-                        // 普通问题的收藏
+        // ✅ 收藏、标记和备注各自作为列表项（没有收藏的节点上的备注也会列出）
+        for (const namespace of ['chatTimelineStar', 'chatTimelinePin', 'chatTimelineNote']) {
+            try {
+                // ✅ 使用 StorageAdapter 获取所有网站的记录（跨网站共享）
+                const items = await StorageAdapter.getAllByPrefix(`${namespace}:`);
+                const currentPrefix = this.getMarkKeyPrefix(namespace);
+                const isPin = namespace === 'chatTimelinePin';
+                const isNote = namespace === 'chatTimelineNote';
+                
+                Object.keys(items).forEach(key => {
+                    try {
+                        const data = items[key];
+                        if (isNote && !data.note) return;
+                        
+                        // 记录字段由 StorageMigrations 补全
+                        const fullUrl = data.url || '';
+                        const index = data.index !== undefined ? data.index : NaN;
+                        // ✅ 整个聊天的收藏（index = -1）和单个问题/标记
+                        const isFullChat = index === -1 && !isPin && !isNote;
+                        if (!isFullChat && (isNaN(index) || index < 0)) return;
+                        
                         const siteInfo = this.getSiteInfoFromUrl(fullUrl);
                         starredMessages.push({
+                            key: key,
                             index: index,
-                            question: data.question || '',
+                            turnId: data.turnId || '',
+                            isAnswer: data.kind === 'answer',
+                            question: data.question || (isFullChat ? '整个对话' : ''),
+                            note: isNote ? data.note : '',
+                            tags: Array.isArray(data.tags) ? data.tags : [],
+                            folderId: data.folderId || null,
                             url: fullUrl,
-                            urlWithoutProtocol: urlWithoutProtocol,
+                            urlWithoutProtocol: data.urlWithoutProtocol || fullUrl.replace(/^https?:\/\//, ''),
                             siteName: siteInfo.name,
                             siteColor: siteInfo.color,
                             timestamp: data.timestamp || 0,
-                            isCurrentPage: urlWithoutProtocol === location.href.replace(/^https?:\/\//, ''),
-                            isFullChat: false  // 标识这是单个问题
+                            isCurrentPage: key.startsWith(currentPrefix),
+                            isFullChat: isFullChat,  // 标识这是整个聊天
+                            isPin: isPin,
+                            isNote: isNote,
+                            pinCategory: isPin ? PinCategories.of(data) : null
                         });
+                    } catch (e) {
+                        // 忽略解析错误的条目
                     }
-                } catch (e) {
-                    // 忽略解析错误的条目
-                }
-            });
-        } catch (e) {
-            // Silently fail
+                });
+            } catch (e) {
+                // Silently fail
+            }
         }
         
         // 按时间倒序排序（最新的在前）
@@ -2756,6 +4110,7 @@ class TimelineManager {
     async showStarredPanel() {
         if (!this.ui.starredPanel) return;
         await this.updateStarredListUI();
+        this.updateSyncWarning();
         this.ui.starredPanel.classList.add('visible');
     }
     
@@ -2765,54 +4120,227 @@ class TimelineManager {
         this.ui.starredPanel.classList.remove('visible');
     }
     
-    // 更新收藏列表UI
+    // 更新收藏列表UI（重新读取存储）
     async updateStarredListUI() {
         if (!this.ui.starredList) return;
+        if (this.starredView === 'trash') {
+            await this.renderTrashList();
+            return;
+        }
         
-        const starredMessages = await this.getStarredMessages();
+        this.starredItems = await this.getStarredMessages();
+        try {
+            this.bookmarkFolders = await BookmarkOrganizer.loadFolders();
+        } catch (e) {
+            this.bookmarkFolders = [];
+        }
+        if (!['all', 'unfiled'].includes(this.starredFilter.folder)
+            && !this.bookmarkFolders.some(folder => folder.id === this.starredFilter.folder)) {
+            this.starredFilter.folder = 'all';
+        }
+        this.updateSiteFilterOptions();
+        this.renderFolderTree();
+        this.renderStarredList();
+    }
+    
+    // ✅ 网站筛选项：只列出有收藏的网站
+    updateSiteFilterOptions() {
+        const select = (this.ui.starredFilters || []).find(el => el.dataset.filter === 'site');
+        if (!select) return;
+        
+        const sites = Array.from(new Set(this.starredItems.map(item => item.siteName))).sort((a, b) => a.localeCompare(b));
+        if (this.starredFilter.site !== 'all' && !sites.includes(this.starredFilter.site)) {
+            this.starredFilter.site = 'all';
+        }
+        select.innerHTML = `<option value="all">${this.escapeHTML(chrome.i18n.getMessage('filterAllSites'))}</option>`
+            + sites.map(site => `<option value="${this.escapeHTML(site)}">${this.escapeHTML(site)}</option>`).join('');
+        select.value = this.starredFilter.site;
+    }
+    
+    // ✅ 文件夹树：选择文件夹筛选列表，拖动收藏或文件夹到其他文件夹
+    renderFolderTree() {
+        const container = this.ui.starredFolders;
+        if (!container) return;
+        
+        const folders = this.bookmarkFolders;
+        const knownIds = new Set(folders.map(folder => folder.id));
+        const counts = new Map();
+        let unfiled = 0;
+        this.starredItems.forEach(item => {
+            if (knownIds.has(item.folderId)) {
+                counts.set(item.folderId, (counts.get(item.folderId) || 0) + 1);
+            } else {
+                unfiled++;
+            }
+        });
         
-        if (starredMessages.length === 0) {
+        const nodeHTML = (id, label, count, depth, isFolder) => `
+            <div class="timeline-folder-node${this.starredFilter.folder === id ? ' active' : ''}" data-folder="${this.escapeHTML(id)}" style="--depth: ${depth}"${isFolder ? ' draggable="true"' : ''}>
+                <span class="timeline-folder-name">${isFolder ? '📁 ' : ''}${this.escapeHTML(label)}</span>
+                <span class="timeline-folder-count">${count}</span>
+                ${isFolder ? `
+                    <button class="timeline-folder-rename" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('renameFolder'))}">✎</button>
+                    <button class="timeline-folder-delete" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('deleteFolder'))}">×</button>
+                ` : ''}
+            </div>
+        `;
+        const renderChildren = (parentId, depth) => BookmarkOrganizer.getChildren(folders, parentId)
+            .map(folder => nodeHTML(folder.id, folder.name, counts.get(folder.id) || 0, depth, true) + renderChildren(folder.id, depth + 1))
+            .join('');
+        
+        container.innerHTML = nodeHTML('all', chrome.i18n.getMessage('folderAll'), this.starredItems.length, 0, false)
+            + nodeHTML('unfiled', chrome.i18n.getMessage('folderUnfiled'), unfiled, 0, false)
+            + renderChildren(null, 0)
+            + `<button class="timeline-folder-add">+ ${this.escapeHTML(chrome.i18n.getMessage('newFolder'))}</button>`;
+        
+        container.querySelectorAll('.timeline-folder-node').forEach(node => {
+            const folderId = node.dataset.folder;
+            const isFolder = knownIds.has(folderId);
+            
+            node.addEventListener('click', () => {
+                this.starredFilter.folder = folderId;
+                this.renderFolderTree();
+                this.renderStarredList();
+            });
+            
+            if (isFolder) {
+                const renameBtn = node.querySelector('.timeline-folder-rename');
+                const deleteBtn = node.querySelector('.timeline-folder-delete');
+                this.bindCustomTooltip(renameBtn);
+                this.bindCustomTooltip(deleteBtn);
+                
+                renameBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    const current = folders.find(folder => folder.id === folderId);
+                    const name = await this.showEditDialog(current ? current.name : '', {
+                        title: chrome.i18n.getMessage('renameFolder'),
+                        placeholder: chrome.i18n.getMessage('folderNamePlaceholder'),
+                        maxLength: BookmarkOrganizer.FOLDER_NAME_LENGTH
+                    });
+                    if (!name) return;
+                    await BookmarkOrganizer.renameFolder(folderId, name);
+                    await this.updateStarredListUI();
+                });
+                
+                deleteBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    // 文件夹中的收藏不会被删除，移到上一级
+                    await BookmarkOrganizer.deleteFolder(folderId);
+                    await this.updateStarredListUI();
+                });
+                
+                node.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.setData('application/x-timeline-folder', folderId);
+                    e.dataTransfer.effectAllowed = 'move';
+                });
+            }
+            
+            // “全部”不是放置目标；放到“未归类”表示移出文件夹
+            if (folderId === 'all') return;
+            const targetId = isFolder ? folderId : null;
+            
+            node.addEventListener('dragover', (e) => {
+                const types = Array.from(e.dataTransfer.types);
+                if (!types.includes('application/x-timeline-bookmark') && !types.includes('application/x-timeline-folder')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                node.classList.add('drop-target');
+            });
+            node.addEventListener('dragleave', () => {
+                node.classList.remove('drop-target');
+            });
+            node.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                node.classList.remove('drop-target');
+                const bookmarkKey = e.dataTransfer.getData('application/x-timeline-bookmark');
+                const draggedFolder = e.dataTransfer.getData('application/x-timeline-folder');
+                try {
+                    if (bookmarkKey) {
+                        await BookmarkOrganizer.moveItem(bookmarkKey, targetId);
+                    } else if (draggedFolder && draggedFolder !== targetId) {
+                        await BookmarkOrganizer.moveFolder(draggedFolder, targetId);
+                    }
+                    await this.updateStarredListUI();
+                } catch (err) {
+                    console.error('Failed to move bookmark:', err);
+                }
+            });
+        });
+        
+        const addBtn = container.querySelector('.timeline-folder-add');
+        addBtn.addEventListener('click', async () => {
+            const name = await this.showEditDialog('', {
+                title: chrome.i18n.getMessage('newFolder'),
+                placeholder: chrome.i18n.getMessage('folderNamePlaceholder'),
+                maxLength: BookmarkOrganizer.FOLDER_NAME_LENGTH
+            });
+            if (!name) return;
+            // 在当前选中的文件夹下新建
+            const parentId = knownIds.has(this.starredFilter.folder) ? this.starredFilter.folder : null;
+            await BookmarkOrganizer.createFolder(name, parentId);
+            await this.updateStarredListUI();
+        });
+    }
+    
+    // 渲染收藏列表（应用搜索、筛选和排序）
+    renderStarredList() {
+        if (!this.ui.starredList) return;
+        
+        // 当前筛选的标签
+        if (this.ui.activeTag) {
+            this.ui.activeTag.hidden = !this.starredFilter.tag;
+            this.ui.activeTag.textContent = this.starredFilter.tag ? `#${this.starredFilter.tag} ×` : '';
+            this.ui.activeTag.title = chrome.i18n.getMessage('clearTagFilter');
+        }
+        
+        if (this.starredItems.length === 0) {
             this.ui.starredList.innerHTML = `<div class="timeline-starred-empty">${chrome.i18n.getMessage('noStarredItems')}</div>`;
             return;
         }
         
+        const starredMessages = StarredFilter.apply(this.starredItems, this.starredFilter, this.bookmarkFolders);
+        if (starredMessages.length === 0) {
+            this.ui.starredList.innerHTML = `<div class="timeline-starred-empty">${chrome.i18n.getMessage('noMatchingItems')}</div>`;
+            return;
+        }
+        
         const itemsHTML = starredMessages.map((item) => {
-            // 从 URL 中提取 hostname，并从 siteNameMap 获取对应颜色和 logo
-            let siteColor = '#000000'; // 默认黑色
-            let siteLogo = null;
-            try {
-                const urlParts = item.urlWithoutProtocol.split('/');
-                const hostname = urlParts[0];
-                // 在 siteNameMap 中查找匹配的颜色和 logo
-                for (const [key, value] of Object.entries(this.siteNameMap)) {
-                    if (hostname.includes(key) || key.includes(hostname)) {
-                        siteColor = value.color;
-                        siteLogo = value.logo || null;
-                        break;
-                    }
-                }
-            } catch (e) {}
+            const tagHTML = this.getSiteTagHTML(item.urlWithoutProtocol, item.siteName);
             
-            // 如果有 logo，直接显示图片；否则显示带背景色的文字标签
-            const tagHTML = siteLogo 
-                ? `<img src="${siteLogo}" alt="${this.escapeHTML(item.siteName)}" class="timeline-starred-item-logo" />`
-                : `<span class="timeline-starred-item-tag" style="background-color: ${siteColor}; color: #FFFFFF;">${this.escapeHTML(item.siteName)}</span>`;
+            const tagsHTML = item.tags.length > 0
+                ? `<span class="timeline-starred-item-tags">${item.tags.map(tag => `<button class="timeline-tag-chip" data-tag="${this.escapeHTML(tag)}">#${this.escapeHTML(tag)}</button>`).join('')}</span>`
+                : '';
             
             return `
-                <div class="timeline-starred-item" data-url="${this.escapeHTML(item.urlWithoutProtocol)}" data-index="${item.index}">
+                <div class="timeline-starred-item" draggable="true" data-key="${this.escapeHTML(item.key)}" data-url="${this.escapeHTML(item.urlWithoutProtocol)}" data-index="${item.index}">
                     ${tagHTML}
+                    ${item.isPin ? `<span class="timeline-starred-item-kind timeline-starred-item-pin-category" style="--pin-color: ${item.pinCategory.color}">${item.pinCategory.icon} ${this.escapeHTML(PinCategories.label(item.pinCategory))}</span>` : ''}
+                    ${item.isNote ? `<span class="timeline-starred-item-kind">📝 ${this.escapeHTML(chrome.i18n.getMessage('noteTag'))}</span>` : ''}
+                    ${item.isAnswer ? `<span class="timeline-starred-item-kind">${this.escapeHTML(chrome.i18n.getMessage('answerTag'))}</span>` : ''}
                     <span class="timeline-starred-item-question" data-full-text='${this.escapeHTML(item.question)}'>${this.escapeHTML(item.question)}</span>
+                    ${tagsHTML}
+                    ${item.note ? `<div class="timeline-starred-item-note timeline-markdown">${MarkdownRenderer.render(item.note)}</div>` : ''}
                     <div class="timeline-starred-item-actions">
-                        <button class="timeline-starred-item-edit" data-url="${this.escapeHTML(item.urlWithoutProtocol)}" data-index="${item.index}" data-current-text='${this.escapeHTML(item.question)}' data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('edit'))}">
+                        <button class="timeline-starred-item-tags-edit" data-key="${this.escapeHTML(item.key)}" data-tags="${this.escapeHTML(item.tags.join(', '))}" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('editTags'))}">
+                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path>
+                                <line x1="7" y1="7" x2="7.01" y2="7"></line>
+                            </svg>
+                        </button>
+                        <button class="timeline-starred-item-edit" data-key="${this.escapeHTML(item.key)}" data-current-text='${this.escapeHTML(item.question)}' data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('edit'))}">
                             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
-                        <button class="timeline-starred-item-star" data-url="${this.escapeHTML(item.urlWithoutProtocol)}" data-index="${item.index}" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('unstar'))}">
-                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="-1 -1 26 26"><path fill="rgb(255, 125, 3)" stroke="rgb(255, 125, 3)" stroke-width="0.5" d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>
+                        <button class="timeline-starred-item-star" data-key="${this.escapeHTML(item.key)}" data-url="${this.escapeHTML(item.urlWithoutProtocol)}" data-index="${item.index}" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage(item.isPin ? 'unpin' : (item.isNote ? 'deleteNote' : 'unstar')))}">
+                            ${item.isPin
+                                ? `<span class="timeline-starred-item-pin">${item.pinCategory.icon}</span>`
+                                : item.isNote
+                                ? '<span class="timeline-starred-item-pin">📝</span>'
+                                : '<svg xmlns="http://www.w3.org/2000/svg" viewBox="-1 -1 26 26"><path fill="rgb(255, 125, 3)" stroke="rgb(255, 125, 3)" stroke-width="0.5" d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>'}
                         </button>
-                        <span class="timeline-starred-item-goto" data-url="${this.escapeHTML(item.url)}" data-index="${item.index}" data-is-current="${item.isCurrentPage}" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('goToTooltip'))}">${chrome.i18n.getMessage('goTo')}</span>
+                        <span class="timeline-starred-item-goto" data-url="${this.escapeHTML(item.url)}" data-key="${this.escapeHTML(item.key)}" data-index="${item.index}" data-turn-id="${this.escapeHTML(item.turnId || '')}" data-is-current="${item.isCurrentPage}" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('goToTooltip'))}">${chrome.i18n.getMessage('goTo')}</span>
                     </div>
                 </div>
             `;
@@ -2820,6 +4348,49 @@ class TimelineManager {
         
         this.ui.starredList.innerHTML = itemsHTML;
         
+        // ✅ 拖动收藏到左侧文件夹
+        this.ui.starredList.querySelectorAll('.timeline-starred-item').forEach(itemEl => {
+            itemEl.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-timeline-bookmark', itemEl.dataset.key);
+                e.dataTransfer.effectAllowed = 'move';
+                itemEl.classList.add('dragging');
+            });
+            itemEl.addEventListener('dragend', () => {
+                itemEl.classList.remove('dragging');
+            });
+        });
+        
+        // ✅ 点击标签：只显示带有该标签的收藏
+        this.ui.starredList.querySelectorAll('.timeline-tag-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.starredFilter.tag = chip.dataset.tag;
+                this.renderStarredList();
+            });
+        });
+        
+        // ✅ 编辑标签
+        this.ui.starredList.querySelectorAll('.timeline-starred-item-tags-edit').forEach(btn => {
+            this.bindCustomTooltip(btn);
+            
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const text = await this.showEditDialog(btn.dataset.tags, {
+                    title: chrome.i18n.getMessage('editTags'),
+                    placeholder: chrome.i18n.getMessage('tagsPlaceholder'),
+                    maxLength: 300,
+                    allowEmpty: true
+                });
+                if (text === null) return;
+                try {
+                    await BookmarkOrganizer.setTags(btn.dataset.key, BookmarkOrganizer.parseTags(text));
+                    await this.updateStarredListUI();
+                } catch (e) {
+                    console.error('Failed to update tags:', e);
+                }
+            });
+        });
+        
         // 绑定编辑按钮点击事件
         this.ui.starredList.querySelectorAll('.timeline-starred-item-edit').forEach(btn => {
             // 添加自定义tooltip
@@ -2828,8 +4399,7 @@ class TimelineManager {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 
-                const url = btn.dataset.url;
-                const index = parseInt(btn.dataset.index, 10);
+                const key = btn.dataset.key;
                 const currentText = btn.dataset.currentText;
                 
                 // 显示编辑对话框
@@ -2837,7 +4407,6 @@ class TimelineManager {
                 if (newText && newText !== currentText) {
                     // 更新存储
                     try {
-                        const key = `chatTimelineStar:${url}:${index}`;
                         const existingValue = await StorageAdapter.get(key);
                         if (existingValue) {
                             existingValue.question = newText;
@@ -2873,40 +4442,36 @@ class TimelineManager {
                     }, 150);
                 });
                 
-                const url = btn.dataset.url;
+                const key = btn.dataset.key;
                 const index = parseInt(btn.dataset.index, 10);
                 
                 // ✅ 处理整个聊天收藏（index = -1）和普通收藏
-                if (index === -1 || !isNaN(index)) {
-                    // 直接删除存储条目
+                if (key) {
+                    // 移入回收站（可撤销）
                     try {
-                        const key = `chatTimelineStar:${url}:${index}`;
-                        await StorageAdapter.remove(key);
+                        const trashIds = await BookmarkTrash.trash([key]);
+                        const isPin = key.startsWith(BookmarkTransfer.PREFIXES.pin);
+                        const isNote = key.startsWith('chatTimelineNote:');
+                        this.showUndoToast(chrome.i18n.getMessage(isPin ? 'unpinnedToast' : (isNote ? 'noteDeletedToast' : 'unstarredToast')), trashIds);
                         
-                        // 如果是当前页面
-                        if (url === location.href.replace(/^https?:\/\//, '')) {
+                        // 如果是当前会话
+                        if (key.startsWith(this.getMarkKeyPrefix('chatTimelineStar'))) {
                             if (index === -1) {
                                 // 更新整个聊天按钮的状态
-                                if (this.ui.starChatBtn) {
-                                    const svg = this.ui.starChatBtn.querySelector('svg');
-                                    if (svg) {
-                                        svg.setAttribute('fill', 'none');
-                                        svg.setAttribute('stroke', 'currentColor');
-                                    }
-                                }
+                                this.updateStarChatButtonState(false);
                             } else {
                                 // 更新单个问题的状态
-                                this.starredIndexes.delete(index);
-                                const marker = this.markers[index];
-                                if (marker && marker.id) {
-                                    this.starred.delete(marker.id);
-                                    marker.starred = false;
-                                    if (marker.dotElement) {
-                                        marker.dotElement.classList.remove('starred');
-                                        this.refreshTooltipForDot(marker.dotElement);
-                                    }
-                                }
+                                this.starRecords.delete(key);
+                                this.refreshMarkStates();
                             }
+                        } else if (key.startsWith(this.getMarkKeyPrefix('chatTimelinePin'))) {
+                            // 当前会话的标记
+                            this.pinnedRecords.delete(key);
+                            this.refreshMarkStates();
+                        } else if (key.startsWith(this.getMarkKeyPrefix('chatTimelineNote'))) {
+                            // 当前会话的备注
+                            this.noteRecords.delete(key);
+                            this.refreshMarkStates();
                         }
                         
                         // 重新渲染列表
@@ -3001,8 +4566,11 @@ class TimelineManager {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const targetUrl = btn.dataset.url;
+                const key = btn.dataset.key;
+                const turnId = btn.dataset.turnId;
                 const index = parseInt(btn.dataset.index, 10);
                 const isCurrentPage = btn.dataset.isCurrent === 'true';
+                if (!BookmarkTransfer.isWebUrl(targetUrl)) return;
                 
                 // 判断是否跨网站
                 const currentHostname = location.hostname;
@@ -3036,28 +4604,188 @@ class TimelineManager {
                 if (isNaN(index)) return;
                 
                 if (isCurrentPage) {
-                    // 当前页面，直接定位
-                    const marker = this.markers[index];
+                    // 当前页面，直接定位（优先使用收藏记录匹配到的节点）
+                    const marker = this.markers.find(m => m.starKey === key || m.pinKey === key || m.noteKey === key) || this.getQuestionMarker(index);
                     if (marker && marker.element) {
-                        this.smoothScrollTo(marker.element);
+                        this.revealMarker(marker);
                         this.hideStarredPanel();
                     }
                 } else {
-                    // 跨页面跳转
+                    // 跨页面跳转：打开指向该节点的链接（见 TurnLink）
+                    const link = TurnLink.build(targetUrl, turnId, index);
                     if (isCrossSite) {
                         // 跨网站：新标签页打开
-                        window.open(targetUrl, '_blank');
+                        window.open(link, '_blank');
                         this.hideStarredPanel();
                     } else {
                         // 同一网站：当前标签页打开
-                        await this.setNavigateData('targetIndex', index);
-                        window.location.href = targetUrl;
+                        window.location.href = link;
                     }
                 }
             });
         });
     }
     
+    // ✅ 网站标签：有 logo 时显示图片，否则显示带背景色的文字标签
+    getSiteTagHTML(urlWithoutProtocol, siteName) {
+        // 从 URL 中提取 hostname，并从 siteNameMap 获取对应颜色和 logo
+        let siteColor = '#000000'; // 默认黑色
+        let siteLogo = null;
+        try {
+            const hostname = urlWithoutProtocol.split('/')[0];
+            // 在 siteNameMap 中查找匹配的颜色和 logo
+            for (const [key, value] of Object.entries(this.siteNameMap)) {
+                if (hostname.includes(key) || key.includes(hostname)) {
+                    siteColor = value.color;
+                    siteLogo = value.logo || null;
+                    break;
+                }
+            }
+        } catch (e) {}
+        
+        return siteLogo
+            ? `<img src="${siteLogo}" alt="${this.escapeHTML(siteName)}" class="timeline-starred-item-logo" />`
+            : `<span class="timeline-starred-item-tag" style="background-color: ${siteColor}; color: #FFFFFF;">${this.escapeHTML(siteName)}</span>`;
+    }
+    
+    // ✅ 回收站：恢复或永久删除，超过保留天数的自动清除
+    async renderTrashList() {
+        let entries = [];
+        let retentionDays = BookmarkTrash.DEFAULT_RETENTION_DAYS;
+        try {
+            entries = await BookmarkTrash.load();
+            retentionDays = await BookmarkTrash.getRetentionDays();
+        } catch (e) {
+            // Silently fail
+        }
+        
+        const retentionOptions = BookmarkTrash.RETENTION_OPTIONS
+            .map(days => `<option value="${days}"${days === retentionDays ? ' selected' : ''}>${this.escapeHTML(chrome.i18n.getMessage('trashRetentionDays', [String(days)]))}</option>`)
+            .join('');
+        const barHTML = `
+            <div class="timeline-trash-bar">
+                <label class="timeline-trash-retention">
+                    ${this.escapeHTML(chrome.i18n.getMessage('trashRetention'))}
+                    <select class="timeline-starred-filter timeline-trash-retention-select">${retentionOptions}</select>
+                </label>
+                <button class="timeline-starred-action timeline-trash-empty"${entries.length === 0 ? ' disabled' : ''}>${this.escapeHTML(chrome.i18n.getMessage('emptyTrash'))}</button>
+            </div>
+        `;
+        
+        const icons = { star: '⭐', pin: '📌', note: '📝' };
+        const itemsHTML = entries.map(entry => {
+            const record = entry.record || {};
+            const type = Object.keys(BookmarkTransfer.PREFIXES).find(t => entry.key.startsWith(BookmarkTransfer.PREFIXES[t])) || 'star';
+            const icon = type === 'pin' ? PinCategories.of(record).icon : icons[type];
+            const url = String(record.url || '');
+            const urlWithoutProtocol = record.urlWithoutProtocol || url.replace(/^https?:\/\//, '');
+            const text = BookmarkTransfer.describe(record);
+            const deletedAt = new Date(entry.deletedAt).toLocaleString();
+            return `
+                <div class="timeline-starred-item timeline-trash-item" data-id="${this.escapeHTML(entry.id)}">
+                    ${this.getSiteTagHTML(urlWithoutProtocol, this.getSiteNameFromUrl(url))}
+                    <span class="timeline-starred-item-kind">${icon}</span>
+                    <span class="timeline-starred-item-question">${this.escapeHTML(text)}</span>
+                    <span class="timeline-trash-item-date">${this.escapeHTML(chrome.i18n.getMessage('trashDeletedAt', [deletedAt]))}</span>
+                    <div class="timeline-starred-item-actions">
+                        <button class="timeline-starred-action timeline-trash-restore">${this.escapeHTML(chrome.i18n.getMessage('restore'))}</button>
+                        <button class="timeline-trash-delete" data-tooltip="${this.escapeHTML(chrome.i18n.getMessage('deleteForever'))}">×</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        this.ui.starredList.innerHTML = barHTML
+            + (itemsHTML || `<div class="timeline-starred-empty">${chrome.i18n.getMessage('trashEmpty')}</div>`);
+        
+        this.ui.starredList.querySelector('.timeline-trash-retention-select').addEventListener('change', async (e) => {
+            await BookmarkTrash.setRetentionDays(parseInt(e.target.value, 10));
+            await this.renderTrashList();
+        });
+        
+        this.ui.starredList.querySelector('.timeline-trash-empty').addEventListener('click', async () => {
+            await BookmarkTrash.empty();
+            await this.renderTrashList();
+        });
+        
+        this.ui.starredList.querySelectorAll('.timeline-trash-item').forEach(itemEl => {
+            const id = itemEl.dataset.id;
+            // 提示文字通过 DOM 设置，问题文本中的引号不会破坏标记
+            const entry = entries.find(e => e.id === id);
+            itemEl.querySelector('.timeline-starred-item-question').title = BookmarkTransfer.describe(entry?.record || {});
+            const deleteBtn = itemEl.querySelector('.timeline-trash-delete');
+            this.bindCustomTooltip(deleteBtn);
+            
+            // 恢复后由存储变化事件刷新当前页面的节点和列表
+            itemEl.querySelector('.timeline-trash-restore').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await BookmarkTrash.restore([id]);
+                await this.renderTrashList();
+            });
+            
+            deleteBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                document.querySelectorAll('.timeline-custom-tooltip').forEach(el => el.remove());
+                await BookmarkTrash.purge([id]);
+                await this.renderTrashList();
+            });
+        });
+    }
+    
+    /**
+     * ✅ 导出所有网站的收藏和标记
+     * @param {string} format - 'json' | 'md' | 'csv'
+     */
+    async exportBookmarks(format) {
+        try {
+            const entries = await BookmarkTransfer.collect();
+            const getSiteName = (url) => this.getSiteNameFromUrl(url);
+            const times = await BookmarkTransfer.collectTimes(entries);
+            const date = new Date().toISOString().slice(0, 10);
+            const filename = `ai-chat-timeline-bookmarks-${date}`;
+            
+            if (format === 'md') {
+                BookmarkTransfer.download(`${filename}.md`, BookmarkTransfer.toMarkdown(entries, getSiteName, times), 'text/markdown');
+            } else if (format === 'csv') {
+                BookmarkTransfer.download(`${filename}.csv`, BookmarkTransfer.toCSV(entries, getSiteName, times), 'text/csv');
+            } else {
+                const folders = await BookmarkOrganizer.loadFolders();
+                BookmarkTransfer.download(`${filename}.json`, BookmarkTransfer.toJSON(entries, folders), 'application/json');
+            }
+        } catch (e) {
+            console.error('Failed to export bookmarks:', e);
+        }
+    }
+    
+    /**
+     * ✅ 从 JSON 备份导入收藏和标记（与现有数据合并去重）
+     * @param {File} file - 用户选择的文件
+     */
+    async importBookmarks(file) {
+        try {
+            const { entries, folders } = BookmarkTransfer.parse(await file.text());
+            // 备份可能来自旧版本，合并前按当前格式重新生成 key
+            const registry = new SiteAdapterRegistry();
+            await registry.loadCustomAdapters();
+            await BookmarkTransfer.mergeFolders(folders);
+            const result = await BookmarkTransfer.merge(entries, registry);
+            
+            // 当前页面的记录可能有变化，重新加载并定位
+            await this.loadStars();
+            await this.loadPins();
+            await this.loadNotes();
+            this.refreshMarkStates();
+            await this.updateStarredListUI();
+            await this.updateStarredBtnVisibility();
+            
+            this.showCopyFeedback(this.ui.importBtn, chrome.i18n.getMessage('importDone', [
+                String(result.added), String(result.updated), String(result.skipped)
+            ]));
+        } catch (e) {
+            this.showErrorToast(e.message, this.ui.importBtn);
+        }
+    }
+    
     // ✅ 复制文本到剪贴板并显示反馈
     async copyToClipboard(text, targetElement) {
         try {
@@ -3087,12 +4815,12 @@ class TimelineManager {
         }
     }
     
-    // ✅ 显示复制成功的反馈提示
-    showCopyFeedback(targetElement) {
+    // ✅ 显示复制成功的反馈提示（也用于其他操作成功的提示）
+    showCopyFeedback(targetElement, message = chrome.i18n.getMessage('copied')) {
         // 创建提示元素
         const feedback = document.createElement('div');
         feedback.className = 'timeline-copy-feedback';
-        feedback.textContent = chrome.i18n.getMessage('copied');
+        feedback.textContent = message;
         document.body.appendChild(feedback);
         
         // 计算位置（显示在内容区上方居中）
@@ -3159,6 +4887,46 @@ class TimelineManager {
         }, 1500);
     }
     
+    // ✅ 删除后显示可撤销的提示（页面底部居中，同一时间只显示一个）
+    showUndoToast(message, trashIds) {
+        if (!trashIds || trashIds.length === 0) return;
+        document.querySelectorAll('.timeline-undo-toast').forEach(el => el.remove());
+        
+        const toast = document.createElement('div');
+        toast.className = 'timeline-undo-toast';
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <span>${this.escapeHTML(message)}</span>
+            <button class="timeline-undo-btn">${this.escapeHTML(chrome.i18n.getMessage('undo'))}</button>
+        `;
+        document.body.appendChild(toast);
+        
+        requestAnimationFrame(() => {
+            toast.classList.add('visible');
+        });
+        
+        const dismiss = () => {
+            toast.classList.remove('visible');
+            setTimeout(() => {
+                if (toast.parentNode) {
+                    toast.parentNode.removeChild(toast);
+                }
+            }, 150);
+        };
+        const timer = setTimeout(dismiss, TIMELINE_CONFIG.UNDO_TOAST_DURATION);
+        
+        // 恢复的记录写回存储后，由存储变化事件刷新节点、收藏按钮和列表
+        toast.querySelector('.timeline-undo-btn').addEventListener('click', async () => {
+            clearTimeout(timer);
+            dismiss();
+            try {
+                await BookmarkTrash.restore(trashIds);
+            } catch (e) {
+                console.error('Failed to undo delete:', e);
+            }
+        });
+    }
+    
     // ✅ 为元素绑定自定义tooltip（快速响应，无延迟，带箭头）
     bindCustomTooltip(element) {
         if (!element) return;
@@ -3230,13 +4998,47 @@ class TimelineManager {
     // ✅ 检查是否有收藏数据
     async hasStarredData() {
         try {
-            const items = await StorageAdapter.getAllByPrefix('chatTimelineStar:');
-            return Object.keys(items).length > 0;
+            const stars = await StorageAdapter.getAllByPrefix('chatTimelineStar:');
+            if (Object.keys(stars).length > 0) return true;
+            // 收藏面板也列出标记和备注
+            const pins = await StorageAdapter.getAllByPrefix('chatTimelinePin:');
+            if (Object.keys(pins).length > 0) return true;
+            const notes = await StorageAdapter.getAllByPrefix('chatTimelineNote:');
+            return Object.values(notes).some(record => record && record.note);
         } catch (e) {
             return false;
         }
     }
     
+    /**
+     * ✅ 同步警告：同步写入被拒绝，或同步空间接近上限时显示
+     * 收藏始终完整保存在本地，警告只表示无法同步到其他浏览器
+     */
+    async updateSyncWarning() {
+        try {
+            let message = '';
+            const status = await StorageAdapter.getSyncStatus();
+            if (status) {
+                message = chrome.i18n.getMessage('syncWriteRejected', [status.error || '']);
+            } else {
+                const ratio = await StorageAdapter.getSyncUsageWarning();
+                if (ratio !== null) {
+                    message = chrome.i18n.getMessage('syncQuotaNearlyFull', [String(Math.round(ratio * 100))]);
+                }
+            }
+            if (this.ui.syncWarning) {
+                this.ui.syncWarning.textContent = message;
+                this.ui.syncWarning.hidden = !message;
+            }
+            // 收藏按钮上显示红点
+            if (this.ui.starredBtn) {
+                this.ui.starredBtn.classList.toggle('sync-warning', !!status);
+            }
+        } catch (e) {
+            // Silently fail
+        }
+    }
+    
     // ✅ 更新收藏按钮显示状态
     async updateStarredBtnVisibility() {
         if (!this.ui.starredBtn) return;
@@ -3249,40 +5051,21 @@ class TimelineManager {
         }
     }
     
-    // ✅ 设置导航数据（用于跨页面导航）
-    async setNavigateData(key, value) {
-        try {
-            await StorageAdapter.set(`chatTimelineNavigate:${key}`, value);
-        } catch (e) {
-            // Silently fail
-        }
-    }
-    
-    // ✅ 获取并删除导航数据
-    async getNavigateData(key) {
-        try {
-            const fullKey = `chatTimelineNavigate:${key}`;
-            const value = await StorageAdapter.get(fullKey);
-            if (value !== undefined) {
-                await StorageAdapter.remove(fullKey);
-                return value;
-            }
-        } catch (e) {
-            // Silently fail
-        }
-        return null;
-    }
-    
+    /**
+     * 转义 HTML，结果可以放入元素内容和引号包围的属性值（标签、文件夹 ID 等可能含有引号）
+     */
     escapeHTML(str) {
         const div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
     
     /**
      * ✅ 切换节点的标记状态
+     * @param {string} id - 节点 ID
+     * @param {string} category - 新标记的分类（见 PinCategories）
      */
-    async togglePin(id) {
+    async togglePin(id, category = PinCategories.DEFAULT) {
         if (!id) {
             return false;
         }
@@ -3292,45 +5075,51 @@ class TimelineManager {
             return false;
         }
         
-        // ✅ 修复：通过 indexOf 获取 index（与 toggleStar 一致）
-        const index = this.markers.indexOf(marker);
-        if (index === -1) {
-            return false;
-        }
-        
         try {
             // ✅ 修复：动态计算 urlWithoutProtocol
             const urlWithoutProtocol = location.href.replace(/^https?:\/\//, '');
-            const key = `chatTimelinePin:${urlWithoutProtocol}:${index}`;
-            const isPinned = await StorageAdapter.get(key);
             
-            if (isPinned) {
-                // 取消标记
-                await StorageAdapter.remove(key);
+            if (marker.pinned) {
+                // 取消标记（记录可能是按其他 key 匹配上的，使用实际的 key）
+                const key = marker.pinKey || this.getMarkKeyPrefix('chatTimelinePin') + id;
+                this.pinnedRecords.delete(key);
                 marker.pinned = false;
+                marker.pinCategory = null;
+                marker.pinKey = null;
                 this.pinned.delete(id);
-                this.pinnedIndexes.delete(index);
+                const trashIds = await BookmarkTrash.trash([key]);
+                this.showUndoToast(chrome.i18n.getMessage('unpinnedToast'), trashIds);
             } else {
                 // 添加标记
+                const key = this.getMarkKeyPrefix('chatTimelinePin') + id;
                 const pinData = {
                     url: location.href,
                     urlWithoutProtocol: urlWithoutProtocol,
-                    index: index,
+                    conversationKey: this.getConversationKey(),
+                    index: marker.index,
+                    turnId: marker.id,
+                    kind: marker.kind,
                     question: marker.summary || '',
                     siteName: this.getSiteNameFromUrl(location.href),
                     timestamp: Date.now(),
-                    isFullChat: false
+                    isFullChat: false,
+                    category: PinCategories.get(category).id
                 };
-                await StorageAdapter.set(key, pinData);
+                this.pinnedRecords.set(key, pinData);
                 marker.pinned = true;
+                marker.pinCategory = pinData.category;
+                marker.pinKey = key;
                 this.pinned.add(id);
-                this.pinnedIndexes.add(index);
+                await StorageAdapter.set(key, pinData);
             }
             
             // 更新节点UI
             this.updatePinIcon(marker);
             // ✅ 重新渲染所有图钉
             this.renderPinMarkers();
+            // 收藏面板也列出标记
+            this.updateStarredListUI();
+            this.updateStarredBtnVisibility();
             return true;
         } catch (e) {
             console.error('Failed to toggle pin:', e);
@@ -3338,6 +5127,40 @@ class TimelineManager {
         }
     }
     
+    /**
+     * ✅ 标记节点或更换标记的分类
+     * @param {string} id - 节点 ID
+     * @param {string} category - 分类 ID
+     */
+    async setPinCategory(id, category) {
+        const marker = this.markerMap.get(id);
+        if (!marker) return false;
+        if (!marker.pinned) return this.togglePin(id, category);
+        if (marker.pinCategory === category) return true;
+        
+        try {
+            const key = marker.pinKey || this.getMarkKeyPrefix('chatTimelinePin') + id;
+            // 更新时间戳，其他设备据此采用新的分类
+            const record = { ...(this.pinnedRecords.get(key) || await StorageAdapter.get(key)), category: PinCategories.get(category).id, timestamp: Date.now() };
+            this.pinnedRecords.set(key, record);
+            marker.pinCategory = record.category;
+            await StorageAdapter.set(key, record);
+            
+            this.updatePinIcon(marker);
+            this.renderPinMarkers();
+            this.updateStarredListUI();
+            return true;
+        } catch (e) {
+            console.error('Failed to change pin category:', e);
+            return false;
+        }
+    }
+    
+    // 按分类筛选时，只有该分类的标记显示图钉
+    isPinVisible(marker) {
+        return marker.pinned && (!this.pinFilter || marker.pinCategory === this.pinFilter);
+    }
+    
     /**
      * ✅ 更新节点的图钉图标显示
      */
@@ -3345,6 +5168,7 @@ class TimelineManager {
         // ✅ 简化：只更新 pinned class，图钉在单独的方法中渲染
         if (marker.dotElement) {
             marker.dotElement.classList.toggle('pinned', marker.pinned);
+            marker.dotElement.classList.toggle('pin-match', this.isPinVisible(marker));
         }
     }
     
@@ -3356,12 +5180,12 @@ class TimelineManager {
         const oldPins = this.ui.timelineBar.querySelectorAll('.timeline-pin-marker');
         oldPins.forEach(pin => pin.remove());
         
-        // 为所有标记的节点渲染图钉
+        // 为所有标记的节点渲染图钉（图标由分类决定）
         this.markers.forEach(marker => {
-            if (marker.pinned && marker.dotElement) {
+            if (this.isPinVisible(marker) && marker.dotElement) {
                 const pinMarker = document.createElement('span');
                 pinMarker.className = 'timeline-pin-marker';
-                pinMarker.textContent = '📌';
+                pinMarker.textContent = PinCategories.get(marker.pinCategory).icon;
                 pinMarker.dataset.markerId = marker.id;
                 
                 // 使用节点的 --n 变量来定位图钉
@@ -3372,6 +5196,26 @@ class TimelineManager {
                 this.ui.timelineBar.appendChild(pinMarker);
             }
         });
+        this.renderPinLegend();
+    }
+
+    /**
+     * ✅ 渲染分支标识（在节点左侧显示 "2/3"，表示当前显示的是第几个版本）
+     */
+    renderBranchMarkers() {
+        const oldMarkers = this.ui.timelineBar.querySelectorAll('.timeline-branch-marker');
+        oldMarkers.forEach(el => el.remove());
+        
+        this.markers.forEach(marker => {
+            if (marker.branch && marker.dotElement) {
+                const branchMarker = document.createElement('span');
+                branchMarker.className = 'timeline-branch-marker';
+                branchMarker.textContent = `${marker.branch.current}/${marker.branch.total}`;
+                branchMarker.dataset.markerId = marker.id;
+                branchMarker.style.setProperty('--n', String(marker.n || 0));
+                this.ui.timelineBar.appendChild(branchMarker);
+            }
+        });
     }
 
     // ✅ 移除：cancelLongPress 方法已删除，长按收藏功能已移除
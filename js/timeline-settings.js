@@ -0,0 +1,57 @@
+/**
+ * Timeline Settings - 时间轴显示设置
+ *
+ * 所有设置保存在同一个同步 key 中，在扩展设置页修改；
+ * 时间轴通过存储变化事件立即应用新的设置
+ */
+
+const TimelineSettings = {
+    STORAGE_KEY: 'chatTimelineSettings',
+    // 每项设置的可选值，第一个为默认值
+    OPTIONS: {
+        // 圆点按回答长度编码：不编码 / 大小 / 颜色深浅
+        dotEncoding: ['off', 'size', 'heat'],
+        // 节点间距：按页面位置 / 等距 / 按首次出现的时间
+        spacing: ['proportional', 'equal', 'time']
+    },
+
+    getDefaults() {
+        const defaults = {};
+        Object.keys(this.OPTIONS).forEach(name => {
+            defaults[name] = this.OPTIONS[name][0];
+        });
+        return defaults;
+    },
+
+    /**
+     * 过滤无效值，缺少的设置使用默认值
+     * @param {Object} settings - 存储中的设置
+     * @returns {Object}
+     */
+    normalize(settings) {
+        const result = this.getDefaults();
+        if (settings && typeof settings === 'object') {
+            Object.keys(this.OPTIONS).forEach(name => {
+                if (this.OPTIONS[name].includes(settings[name])) {
+                    result[name] = settings[name];
+                }
+            });
+        }
+        return result;
+    },
+
+    async load() {
+        return this.normalize(await StorageAdapter.get(this.STORAGE_KEY));
+    },
+
+    /**
+     * 修改部分设置
+     * @param {Object} changes - 设置名 → 新值
+     * @returns {Promise<Object>} 保存后的完整设置
+     */
+    async save(changes) {
+        const settings = this.normalize({ ...(await this.load()), ...changes });
+        await StorageAdapter.set(this.STORAGE_KEY, settings);
+        return settings;
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Turn Link - 指向会话中某个节点的链接
+ *
+ * 在会话 URL 的 hash 中指定节点，可以分享给他人或保存到文档中：
+ * - #ai-timeline-turn=12：第 12 个提问
+ * - #ai-timeline-turn={节点 ID}：按文本指纹定位（见 TurnIdentity），前面增删问题后仍能找到
+ * 各网站都不使用 hash 路由，添加 hash 不影响打开会话
+ */
+
+const TurnLink = {
+    PARAM: 'ai-timeline-turn',
+
+    /**
+     * 生成链接（替换 URL 原有的 hash）
+     * @param {string} url - 会话 URL
+     * @param {string} turnId - 节点 ID，没有时使用 index
+     * @param {number} index - 提问序号（从 0 开始）
+     * @returns {string}
+     */
+    build(url, turnId, index) {
+        const target = turnId || String(index + 1);
+        try {
+            const parsed = new URL(url);
+            parsed.hash = `${this.PARAM}=${encodeURIComponent(target)}`;
+            return parsed.toString();
+        } catch {
+            return url;
+        }
+    },
+
+    /**
+     * 解析 hash
+     * @param {string} hash - location.hash
+     * @returns {{number: number}|{turnId: string}|null}
+     */
+    parse(hash) {
+        const match = String(hash || '').match(new RegExp(`^#(?:.*&)?${this.PARAM}=([^&]+)`));
+        if (!match) return null;
+        let value;
+        try {
+            value = decodeURIComponent(match[1]).trim();
+        } catch {
+            return null;
+        }
+        if (!value) return null;
+        if (/^\d+$/.test(value)) {
+            const number = parseInt(value, 10);
+            return number > 0 ? { number } : null;
+        }
+        return { turnId: value };
+    },
+
+    /**
+     * 找到链接指向的节点
+     * 节点 ID 不完全相同时（前面增删了相同的问题、切换了分支），取指纹相同、序号最接近的节点
+     * @param {Object} target - parse 的返回值
+     * @param {Array} markers - 时间轴节点
+     * @returns {Object|null}
+     */
+    resolve(target, markers) {
+        if (target.number) {
+            return markers.find(m => m.kind === 'question' && m.index === target.number - 1) || null;
+        }
+        const exact = markers.find(m => m.id === target.turnId);
+        if (exact) return exact;
+        const { fingerprint, ordinal } = TurnIdentity.parse(target.turnId);
+        let best = null;
+        let bestDistance = Infinity;
+        markers.forEach(m => {
+            if (m.fingerprint !== fingerprint) return;
+            const distance = Math.abs(TurnIdentity.parse(m.id).ordinal - ordinal);
+            if (distance < bestDistance) {
+                best = m;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * Turn Times - 节点首次出现的时间
+ *
+ * 各网站都不在页面上显示消息时间，因此在时间轴第一次看到某个节点时记录当前时间
+ * - 按会话保存在 storage.local：chatTimelineTurnTimes:{site}:{conversationId}
+ * - 以提问的节点 ID（见 TurnIdentity）为 key，编辑其他问题、切换分支后时间不会错位；回答使用所属提问的记录
+ * - 记录格式：{ [turnId]: { seen: 提问首次出现的时间, answered: 回答完成的时间, existing: true } }
+ * - 第一次打开会话时已经在页面上的提问标记为 existing：seen 只用于排列节点，不作为提问时间显示
+ * - answered 只在本次打开期间看到回答出现或变化时记录，历史回答没有回答时间
+ */
+
+const TurnTimes = {
+    PREFIX: 'chatTimelineTurnTimes:',
+
+    keyFor(conversationKey) {
+        return `${this.PREFIX}${conversationKey}`;
+    },
+
+    /**
+     * 读取会话中各节点的时间
+     * @param {string} conversationKey - 见 ConversationKey.fromUrl
+     * @returns {Promise<Object>}
+     */
+    async load(conversationKey) {
+        const times = await StorageAdapter.getLocal(this.keyFor(conversationKey));
+        return times && typeof times === 'object' ? times : {};
+    },
+
+    async save(conversationKey, times) {
+        await StorageAdapter.setLocal(this.keyFor(conversationKey), times);
+    },
+
+    /**
+     * 读取多个会话的时间（用于导出）
+     * @param {string[]} conversationKeys
+     * @returns {Promise<Map<string, Object>>} 会话 key → load 的返回值
+     */
+    async loadMany(conversationKeys) {
+        const result = new Map();
+        for (const conversationKey of new Set(conversationKeys)) {
+            result.set(conversationKey, await this.load(conversationKey));
+        }
+        return result;
+    },
+
+    /**
+     * 节点对应的记录（回答节点使用所属提问的记录）
+     * @param {Object} times - load 的返回值
+     * @param {string} turnId - 提问或回答的节点 ID
+     * @returns {Object|null}
+     */
+    recordFor(times, turnId) {
+        if (!times || !turnId) return null;
+        if (times[turnId]) return times[turnId];
+        const { fingerprint, ordinal, branchPath } = TurnIdentity.parse(turnId);
+        if (!fingerprint.endsWith('_a')) return null;
+        return times[TurnIdentity.compose(fingerprint.slice(0, -2), ordinal, branchPath).id] || null;
+    },
+
+    /**
+     * 为还没有记录的节点记录首次出现时间
+     * @param {Object} times - load 的返回值（直接修改）
+     * @param {string[]} turnIds - 当前页面上的节点 ID
+     * @param {number} now - 当前时间
+     * @param {boolean} existing - 打开会话时已经在页面上（不是刚提出的问题）
+     * @returns {boolean} 是否有新记录（需要保存）
+     */
+    markSeen(times, turnIds, now = Date.now(), existing = false) {
+        let changed = false;
+        turnIds.forEach(id => {
+            if (!times[id]) {
+                times[id] = existing ? { seen: now, existing: true } : { seen: now };
+                changed = true;
+            }
+        });
+        return changed;
+    },
+
+    /**
+     * 记录回答完成时间（回答仍在生成时会多次更新，保留最后一次）
+     * @returns {boolean} 是否有变化（需要保存）
+     */
+    markAnswered(times, turnId, now = Date.now()) {
+        const record = times[turnId];
+        if (!record || record.answered === now) return false;
+        record.answered = now;
+        return true;
+    },
+
+    // 提问时间（打开会话时已经存在的提问没有）
+    askedAt(record) {
+        return record && !record.existing ? record.seen : null;
+    },
+
+    /**
+     * 时间的显示文本，如 "Asked 2024-05-01 10:00 · Answered 2024-05-01 10:01"
+     * @param {{seen: number, answered?: number, existing?: boolean}} record
+     * @param {Function} formatDate - 时间戳 → 文本
+     * @returns {string} - 没有可显示的时间时为空
+     */
+    describe(record, formatDate) {
+        if (!record) return '';
+        const parts = [];
+        if (this.askedAt(record)) {
+            parts.push(chrome.i18n.getMessage('turnAskedAt', [formatDate(record.seen)]));
+        }
+        if (record.answered) {
+            parts.push(chrome.i18n.getMessage('turnAnsweredAt', [formatDate(record.answered)]));
+        }
+        return parts.join(' · ');
+    }
+};